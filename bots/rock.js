@@ -0,0 +1,41 @@
+// bots/rock.js — SYFM Poker | example drop-in bot strategy
+//
+// Every .js file in this directory (or BOTS_DIR) is loaded at startup and offered
+// in the lobby's bot list. A strategy exports:
+//
+//   name     lowercase key, unique (a-z 0-9 _ -, up to 24 chars)
+//   label    what the lobby shows
+//   tier     free text - built-ins are beginner / intermediate / expert
+//   decide(view, kit) -> { action: 'fold' | 'check' | 'call' | 'raise', amount }
+//
+// view is the hand as this seat sees it: holeCards, community, phase, pot,
+// currentBet, toCall, canRaise, minRaise/maxRaise (chips put in now), stack, bet,
+// sb/bb, dealerSeat, inPosition, opponents, lastAggressor (seat of the last bet or raise
+// this street), players[] (seat, name, isBot, stack, bet, totalBet, folded, allIn, reads),
+// actions[] so far this hand, and memory - an object kept for this bot between hands.
+// players[].reads is what this table has seen of a player (null before their first hand
+// here): hands, vpip, pfr, cbetFaced, foldToCbet, showdowns, aggShowdowns and bluff (of
+// the showdowns where they made the last bet, the share they lost with high card).
+// The ratios run 0-1, null until there is a spot to count.
+// kit: equity(hole, board, opponents, iterations), preflopStrength(cards),
+// evalHand(hole, board), handName(score), random(), and reads(view), which sums the
+// reads up for this decision as { callBonus, bluffMult, foldToBet }: callBonus goes on
+// the equity a call needs to beat, bluffMult scales how often to bet without the goods,
+// foldToBet is how often the live opponents fold to a flop c-bet (null if unknown).
+// A throw or an unusable answer is treated as check if free, otherwise fold.
+'use strict';
+
+// The rock: plays premium hands only and never bluffs
+module.exports = {
+  name: 'rock',
+  label: 'Rock (tight)',
+  tier: 'custom',
+  decide(view, kit) {
+    const strength = view.phase === 'preflop'
+      ? kit.preflopStrength(view.holeCards)
+      : kit.equity(view.holeCards, view.community, Math.max(1, view.opponents), 200);
+    if (strength > 0.8 && view.canRaise) return { action: 'raise', amount: view.minRaise * 2 };
+    if (view.toCall === 0) return { action: 'check' };
+    return strength > 0.6 ? { action: 'call' } : { action: 'fold' };
+  },
+};
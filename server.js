@@ -1,4 +1,4 @@
-// server.js — SYFM Poker | Last edited: 2026-03-25 (server-side ID + secret token security)
+// server.js — SYFM Poker | Last edited: 2026-10-19 (seatless viewers)
 'use strict';
 const http   = require('http');
 const { WebSocketServer } = require('ws');
@@ -12,15 +12,30 @@ const SUITS = ['\u2660','\u2665','\u2666','\u2663'];
 const RANKS = ['2','3','4','5','6','7','8','9','10','J','Q','K','A'];
 const RVAL  = {'2':2,'3':3,'4':4,'5':5,'6':6,'7':7,'8':8,'9':9,'10':10,'J':11,'Q':12,'K':13,'A':14};
 const NP    = 9;
-const SB    = 10, BB = 20;          // cash-game fixed blinds (pence)
+const MAX_TABLES = 6;               // multi-table tournaments: up to 54 entrants
+const SB    = 10, BB = 20;          // default cash-game blinds (pence) - host can change per room
+const BUYIN_MIN_BB = 20, BUYIN_MAX_BB = 200;   // cash buy-in range, in big blinds
 const START_CHIPS = 1000;
 const ACTION_TIMEOUT = 15000;
+const TIME_BANK = { secs: 30, add: 10, every: 10 };   // room default: starting bank, top-up, hands between top-ups
+const MAX_TIME_BANK_SECS = 300;
 const ROOM_EMPTY_TTL_MS = 60_000;
+const VARIANTS = {
+  holdem: { name: "Hold'em", holeCards: 2, betting: 'nl' },
+  omaha:  { name: 'Omaha',   holeCards: 4, betting: 'pl' },
+};
+// Fixed-limit: small bet (= BB) preflop and flop, big bet (2 x BB) turn and river
+const BETTING = {
+  nl: { label: 'No-Limit',    ps: 'No Limit' },
+  pl: { label: 'Pot-Limit',   ps: 'Pot Limit' },
+  fl: { label: 'Fixed-Limit', ps: 'Limit' },
+};
+const FL_RAISE_CAP = 4;             // bet + 3 raises per street (the BB counts preflop)
 
 // ─── Bot configuration ────────────────────────────────────────────────
 const BOT_NAMES = ['RoboRaise','FoldBot','DeepStack','BluffBot','AutoAce','PokerAI','AllInBot','CallBot','SkyNet'];
 
-function mkBot(id, name, seat, room, chips) {
+function mkBot(id, name, seat, room, chips, strategy = DEFAULT_BOT_STRATEGY) {
   const styles = ['aggressive', 'passive', 'balanced'];
   return {
     ws: null, id, name, chips, seat, cards: [], bet: 0, folded: false,
@@ -30,7 +45,8 @@ function mkBot(id, name, seat, room, chips) {
     secret: generateSecret(), isBot: true,
     sittingOut: false, spectator: false, voluntaryAutoFold: false,
     pendingBuyBack: false, totalBet: 0,
-    botStyle: styles[Math.floor(Math.random() * styles.length)]
+    botStyle: styles[Math.floor(Math.random() * styles.length)],
+    strategy, botMemory: {}
   };
 }
 
@@ -51,6 +67,21 @@ function evalPreflopStrength(cards) {
   return Math.min(0.87, score);
 }
 
+function evalOmahaPreflopStrength(cards) {
+  // Rough PLO starting-hand score - equities run much closer than hold'em,
+  // so reward pairs, suits and connectors and keep the range narrow
+  const ranks = cards.map(c => RVAL[c.r]).sort((a, b) => b - a);
+  const cnt = {}; for (const r of ranks) cnt[r] = (cnt[r] || 0) + 1;
+  if (Object.values(cnt).some(n => n >= 3)) return 0.28; // trips/quads block themselves
+  let score = ranks.reduce((sum, r) => sum + (r - 2) / 12, 0) / 4 * 0.35;
+  for (const [r, n] of Object.entries(cnt)) if (n === 2) score += 0.08 + (r - 2) / 12 * 0.12;
+  const bySuit = {}; for (const c of cards) (bySuit[c.s] = bySuit[c.s] || []).push(RVAL[c.r]);
+  for (const rs of Object.values(bySuit)) if (rs.length >= 2) score += rs.length === 2 ? 0.05 + (rs.includes(14) ? 0.03 : 0) : 0.02;
+  const uniq = [...new Set(ranks)];
+  for (let i = 1; i < uniq.length; i++) if (uniq[i - 1] - uniq[i] <= 2) score += 0.04;
+  return Math.max(0.2, Math.min(0.85, 0.15 + score));
+}
+
 // ── Monte Carlo equity engine ─────────────────────────────────────────────────
 // Runs N random simulations of the remaining cards and counts wins.
 // Returns win equity as 0.0 - 1.0
@@ -88,19 +119,19 @@ function monteCarloEquity(holeCards, community, numOpponents, iterations) {
     const board = [...communityKnown];
     for (let j = 0; j < communityNeeded; j++) board.push(deck[deckIdx++]);
 
-    // Deal opponent hole cards (2 each)
+    // Deal opponent hole cards (same count as ours - 2 hold'em, 4 Omaha)
     const opponentHands = [];
     for (let o = 0; o < numOpponents; o++) {
-      opponentHands.push([deck[deckIdx++], deck[deckIdx++]]);
+      opponentHands.push(deck.slice(deckIdx, deckIdx += holeCards.length));
     }
 
     // Evaluate our hand
-    const ourScore = evalBest([...holeCards, ...board]);
+    const ourScore = evalHole(holeCards, board);
 
     // Check if we win outright
     let bestOppScore = -1;
     for (const oppHole of opponentHands) {
-      const s = evalBest([...oppHole, ...board]);
+      const s = evalHole(oppHole, board);
       if (s > bestOppScore) bestOppScore = s;
     }
 
@@ -111,70 +142,167 @@ function monteCarloEquity(holeCards, community, numOpponents, iterations) {
   return (wins + ties) / iterations;
 }
 
-// ── Smart bot decision engine ─────────────────────────────────────────────────
+// ── Bot strategies ────────────────────────────────────────────────────────────
+// A strategy is a module { name, label, tier, decide(view, kit) }. decide() sees the
+// hand the way the bot's seat does (botView: its own cards, the board, stacks, bets
+// and this hand's actions - never another player's cards or the deck) and returns
+// { action: 'fold' | 'check' | 'call' | 'raise', amount }, amount being the chips put
+// in now, between view.minRaise and view.maxRaise. kit has the equity helpers.
+// Three tiers are built in; more are loaded from BOTS_DIR (./bots) at startup.
+const BOT_STRATEGIES = new Map();
+const DEFAULT_BOT_STRATEGY = 'intermediate';
+const BOTS_DIR = process.env.BOTS_DIR || path.join(__dirname, 'bots');
+const BOT_STRATEGY_KEY_RE = /^[a-z0-9][a-z0-9_-]{0,23}$/;
+
+function registerBotStrategy(strat, source) {
+  if (!strat || typeof strat.decide !== 'function' || !BOT_STRATEGY_KEY_RE.test(strat.name || '')) return `${source}: needs a lowercase name and a decide() function`;
+  if (BOT_STRATEGIES.has(strat.name)) return `${source}: "${strat.name}" is already registered`;
+  BOT_STRATEGIES.set(strat.name, { name: strat.name, label: String(strat.label || strat.name).replace(/[<>&"']/g, '').slice(0, 32), tier: strat.tier || 'custom', decide: strat.decide, source });
+  return null;
+}
+
+// Every .js file in the directory is one strategy; a broken one is logged and skipped
+function loadBotStrategies(dir = BOTS_DIR) {
+  let files;
+  try { files = fs.readdirSync(dir).filter(f => f.endsWith('.js')).sort(); } catch { return; }
+  files.forEach(f => {
+    let err;
+    try { err = registerBotStrategy(require(path.join(dir, f)), f); } catch (e) { err = `${f}: ${e.message}`; }
+    svrLog(err ? `BOT STRATEGY SKIPPED: ${err}` : `BOT STRATEGY LOADED: ${f}`);
+  });
+}
+
+function botStrategy(p) { return BOT_STRATEGIES.get(p.strategy) || BOT_STRATEGIES.get(DEFAULT_BOT_STRATEGY); }
+function botStrategyList() { return [...BOT_STRATEGIES.values()].map(st => ({ name: st.name, label: st.label, tier: st.tier })); }
+
+// What a bot in this seat may know about the hand
+function botView(room, seat) {
+  const G = room.G, p = room.seats[seat], h = G.history;
+  const limits = raiseLimits(room, p);
+  const dealt = h ? h.players.map(pl => pl.seat) : activePlaying(room);
+  const players = dealt.map(i => room.seats[i]).filter(Boolean).map(s => ({
+    seat: s.seat, name: s.name, isBot: !!s.isBot, stack: s.chips, bet: s.bet, totalBet: s.totalBet || 0,
+    folded: !!s.folded, allIn: !s.folded && s.chips === 0, reads: modelReads(room, s.id),
+  }));
+  const streetBets = h ? h.actions.filter(a => a.phase === G.phase && (a.action === 'bet' || a.action === 'raise')) : [];
+  const live = players.filter(o => !o.folded && !o.allIn).map(o => o.seat);
+  // Acts last postflop = the live seat furthest clockwise from the button
+  const order = s => (s - room.dealerSeat + NP - 1) % NP;
+  return {
+    seat, hand: room.handNum, phase: G.phase, variant: roomVariant(room), betting: roomBetting(room),
+    holeCards: p.cards.map(c => ({ r: c.r, s: c.s })), community: G.community.map(c => ({ r: c.r, s: c.s })),
+    pot: G.pot, currentBet: G.currentBet, toCall: Math.min(G.currentBet - p.bet, p.chips),
+    canRaise: !!limits, minRaise: limits ? limits.min : null, maxRaise: limits ? limits.max : null,
+    sb: G.curSB, bb: G.curBB, stack: p.chips, bet: p.bet, dealerSeat: room.dealerSeat,
+    inPosition: live.length > 0 && live.every(s => order(s) <= order(seat)),
+    opponents: players.filter(o => o.seat !== seat && !o.folded).length,
+    lastAggressor: streetBets.length ? streetBets[streetBets.length - 1].seat : null,
+    players,
+    actions: h ? h.actions.map(a => ({ phase: a.phase, seat: a.seat, action: a.action, amount: a.amount })) : [],
+    style: p.botStyle, memory: p.botMemory || (p.botMemory = {}),
+  };
+}
+
+// Helpers handed to every strategy
+const BOT_KIT = {
+  equity: (hole, board, opponents, iterations) => monteCarloEquity(hole, board, opponents, iterations),
+  preflopStrength: cards => (cards.length === 4 ? evalOmahaPreflopStrength(cards) : evalPreflopStrength(cards)),
+  evalHand: (hole, board) => evalHole(hole, board),
+  handName: score => handName(score),
+  reads: view => opponentAdjust(view),
+  random: () => Math.random(),
+};
+
 function decideBotAction(room, seat) {
-  const G = room.G;
   const p = room.seats[seat];
-  if (!p || !G) return { action: 'fold' };
+  if (!p || !room.G) return { action: 'fold' };
+  const view = botView(room, seat), strat = botStrategy(p);
+  let move;
+  try { move = strat.decide(view, BOT_KIT); }
+  catch (err) { svrLog(`BOT STRATEGY ERROR: ${strat.name} | ${p.name} | ${err.message}`); }
+  // Anything unusable is a check when free, otherwise a fold
+  const action = move && move.action;
+  if (action === 'raise' && view.canRaise) {
+    const amount = Math.max(view.minRaise, Math.min(view.maxRaise, Math.round(Number(move.amount) || view.minRaise)));
+    return { action, amount };
+  }
+  if (action === 'call' || action === 'raise') return { action: 'call' };
+  return { action: view.toCall > 0 ? 'fold' : 'check' };
+}
 
-  const callAmt  = Math.min(G.currentBet - p.bet, p.chips);
-  const potAfterCall = G.pot + callAmt;
+// ── Beginner: plays its own made hand and nothing else ───────────────────────
+// No equity maths, no reads of the board or the betting - calls too much, rarely raises.
+const BEGINNER_MADE = [0.2, 0.45, 0.6, 0.7, 0.78, 0.82, 0.9, 0.95, 1, 1];
+registerBotStrategy({ name: 'beginner', label: 'Beginner', tier: 'beginner', decide(v, kit) {
+  const strength = v.phase === 'preflop' ? kit.preflopStrength(v.holeCards)
+    : BEGINNER_MADE[Math.min(9, Math.floor(kit.evalHand(v.holeCards, v.community) / 1e8))];
+  if (v.toCall === 0) {
+    if (v.canRaise && strength > 0.75 && kit.random() < 0.5) return { action: 'raise', amount: v.minRaise };
+    return { action: 'check' };
+  }
+  if (v.canRaise && strength > 0.9 && kit.random() < 0.4) return { action: 'raise', amount: v.minRaise };
+  if (strength < 0.3 && (v.toCall > v.pot / 2 || kit.random() < 0.3)) return { action: 'fold' };
+  return { action: 'call' };
+} }, 'built-in');
+
+// ── Intermediate: the original equity + pot odds bot, with three playing styles ─
+registerBotStrategy({ name: 'intermediate', label: 'Intermediate', tier: 'intermediate', decide(v, kit) {
+  const callAmt  = v.toCall;
+  const potAfterCall = v.pot + callAmt;
   // Pot odds: what fraction of pot+call do we need to put in?
   const potOdds  = potAfterCall > 0 ? callAmt / potAfterCall : 0;
-
-  // Count active opponents (not folded, not us)
-  const opponents = room.seats.filter((s, i) =>
-    s && i !== seat && !s.folded && !s.sittingOut && !s.spectator
-  ).length;
-  const numOpp = Math.max(1, opponents);
+  const numOpp = Math.max(1, v.opponents);
 
   // ── Equity calculation ────────────────────────────────────────────────────
   let equity;
-  if (G.phase === 'preflop') {
+  if (v.phase === 'preflop') {
     // Fast lookup preflop, adjusted for number of opponents
     // A hand that beats 1 opponent 60% of the time beats N opponents less often
-    const rawPreflop = evalPreflopStrength(p.cards);
-    equity = Math.pow(rawPreflop, numOpp);
+    equity = Math.pow(kit.preflopStrength(v.holeCards), numOpp);
   } else {
     // Monte Carlo for flop / turn / river
     // Use more iterations on later streets (fewer unknown cards = faster)
-    const iters = G.phase === 'river' ? 1 : (G.phase === 'turn' ? 150 : 200);
-    equity = monteCarloEquity(p.cards, G.community, numOpp, iters);
+    // Omaha hands cost 60 five-card scores each vs 21, so halve the runs
+    let iters = v.phase === 'river' ? 1 : (v.phase === 'turn' ? 150 : 200);
+    if (v.holeCards.length === 4) iters = Math.ceil(iters / 2);
+    equity = kit.equity(v.holeCards, v.community, numOpp, iters);
   }
 
   // ── Stack-to-pot ratio (SPR) ──────────────────────────────────────────────
   // Low SPR = committed, high SPR = more room to manoeuvre
-  const spr = G.pot > 0 ? p.chips / G.pot : 10;
+  const spr = v.pot > 0 ? v.stack / v.pot : 10;
 
   // ── Style modifiers ───────────────────────────────────────────────────────
-  const aggrMod = p.botStyle === 'aggressive' ? 0.06
-                : p.botStyle === 'passive'    ? -0.06 : 0;
+  const aggrMod = v.style === 'aggressive' ? 0.06
+                : v.style === 'passive'    ? -0.06 : 0;
   // Small noise so bots aren't perfectly deterministic
-  const noise = (Math.random() - 0.5) * 0.10;
+  const noise = (kit.random() - 0.5) * 0.10;
   const adj   = Math.max(0, Math.min(1, equity + aggrMod + noise));
+  // Reads: call wider against a proven bluffer, bluff more into a table that over-folds
+  const reads = kit.reads(v);
 
   // ── Raise sizing ──────────────────────────────────────────────────────────
-  const raiseIncrement = G.firstRaiseAction ? G.curBB : G.lastRaiseIncrement;
-  const minRaise = Math.min(callAmt + raiseIncrement, p.chips);
+  // No raise when the street is capped (fixed-limit); minRaise === maxRaise for a fixed bet
+  const canRaise = v.canRaise;
 
   function makeRaise(fraction) {
     // Bet/raise as a fraction of the pot
-    const raw = Math.round(G.pot * fraction / G.curBB) * G.curBB;
-    return Math.max(minRaise, Math.min(raw, p.chips));
+    const raw = Math.round(v.pot * fraction / v.bb) * v.bb;
+    return Math.max(v.minRaise, Math.min(raw, v.maxRaise));
   }
 
   // ── Decision logic ────────────────────────────────────────────────────────
   if (callAmt === 0) {
     // Nobody has bet - we can check for free
-    if (adj > 0.65) {
+    if (canRaise && adj > 0.65) {
       // Strong hand - bet for value
-      const fraction = p.botStyle === 'aggressive' ? 0.75 + Math.random() * 0.5
-                                                   : 0.45 + Math.random() * 0.4;
+      const fraction = v.style === 'aggressive' ? 0.75 + kit.random() * 0.5
+                                                : 0.45 + kit.random() * 0.4;
       return { action: 'raise', amount: makeRaise(fraction) };
     }
-    if (adj > 0.45 && Math.random() < 0.25) {
+    if (canRaise && adj > 0.45 && kit.random() < 0.25 * reads.bluffMult) {
       // Medium hand - occasional bluff/semi-bluff bet
-      return { action: 'raise', amount: makeRaise(0.35 + Math.random() * 0.3) };
+      return { action: 'raise', amount: makeRaise(0.35 + kit.random() * 0.3) };
     }
     // Check otherwise
     return { action: 'check' };
@@ -182,32 +310,32 @@ function decideBotAction(room, seat) {
   } else {
     // Facing a bet or raise
     // Core rule: if equity > pot odds, we have correct odds to call
-    const hasOdds = adj > potOdds;
+    const hasOdds = adj + reads.callBonus > potOdds;
 
     // Thresholds adjusted by style
-    const foldThresh  = p.botStyle === 'aggressive' ? 0.18
-                      : p.botStyle === 'passive'    ? 0.28 : 0.22;
-    const callThresh  = potOdds + (p.botStyle === 'passive' ? 0.04 : 0);
-    const raiseThresh = p.botStyle === 'aggressive' ? 0.58
-                      : p.botStyle === 'passive'    ? 0.72 : 0.65;
+    const foldThresh  = v.style === 'aggressive' ? 0.18
+                      : v.style === 'passive'    ? 0.28 : 0.22;
+    const callThresh  = potOdds + (v.style === 'passive' ? 0.04 : 0) - reads.callBonus;
+    const raiseThresh = v.style === 'aggressive' ? 0.58
+                      : v.style === 'passive'    ? 0.72 : 0.65;
 
     // Fold if equity too low AND pot odds aren't compelling
     if (adj < foldThresh && !hasOdds) {
       // Occasional hero bluff-catch: call anyway with tiny chance
-      if (Math.random() < 0.05 && p.botStyle === 'aggressive') {
+      if (kit.random() < 0.05 && v.style === 'aggressive') {
         return { action: 'call' };
       }
       return { action: 'fold' };
     }
 
     // Strong hand: raise for value
-    if (adj > raiseThresh && Math.random() > 0.30) {
+    if (canRaise && adj > raiseThresh && kit.random() > 0.30) {
       // Size raise based on equity and SPR
       const sizeMult = spr < 3 ? 1.0   // shallow stack - just ship it
-                     : spr < 6 ? 2.0 + Math.random() * 1.0
-                     : 2.5 + Math.random() * 1.5;
-      const rawRaise = Math.round(callAmt * sizeMult / G.curBB) * G.curBB;
-      const raiseAmt = Math.max(minRaise, Math.min(rawRaise, p.chips));
+                     : spr < 6 ? 2.0 + kit.random() * 1.0
+                     : 2.5 + kit.random() * 1.5;
+      const rawRaise = Math.round(callAmt * sizeMult / v.bb) * v.bb;
+      const raiseAmt = Math.max(v.minRaise, Math.min(rawRaise, v.maxRaise));
       return { action: 'raise', amount: raiseAmt };
     }
 
@@ -217,11 +345,185 @@ function decideBotAction(room, seat) {
     }
 
     // Marginal: fold (with occasional passive hero-call)
-    if (Math.random() < 0.08 && p.botStyle !== 'passive') {
+    if (kit.random() < 0.08 && v.style !== 'passive') {
       return { action: 'call' };
     }
     return { action: 'fold' };
   }
+} }, 'built-in');
+
+// ── Expert: deeper equity, position, stack depth and reads ────────────────────
+// Opens to 3 BB (+1 per limper), 3-bets strong hands, bets for value and
+// semi-bluffs in position, folds below the price, and gets it in when committed.
+// Postflop calls and bluffs are tuned to the opponent model (opponentAdjust).
+registerBotStrategy({ name: 'expert', label: 'Expert', tier: 'expert', decide(v, kit) {
+  const numOpp = Math.max(1, v.opponents);
+  const potOdds = v.toCall > 0 ? v.toCall / (v.pot + v.toCall) : 0;
+  const spr = v.pot > 0 ? v.stack / v.pot : 10;
+  const clamp = amt => Math.max(v.minRaise, Math.min(v.maxRaise, Math.round(amt / v.bb) * v.bb || v.minRaise));
+  const bet = frac => clamp(v.pot * frac);
+  let equity;
+  if (v.phase === 'preflop') {
+    // Late position widens the range a little, a crowd narrows it
+    equity = Math.pow(kit.preflopStrength(v.holeCards), 0.5 + numOpp * 0.5) + (v.inPosition ? 0.04 : 0);
+    const raised = v.currentBet > v.bb;
+    const limpers = v.players.filter(o => o.seat !== v.seat && o.bet === v.bb && !o.folded).length;
+    if (!raised && equity > 0.5 && v.canRaise) return { action: 'raise', amount: clamp(v.bb * (3 + limpers) - v.bet) };
+    if (raised && equity > 0.72 && v.canRaise) return { action: 'raise', amount: clamp(v.currentBet * 3 - v.bet) };
+    if (v.toCall === 0) return { action: 'check' };
+    if (equity > potOdds + 0.12 || (v.toCall <= v.bb && equity > 0.3)) return { action: 'call' };
+    return { action: 'fold' };
+  }
+  let iters = v.phase === 'flop' ? 400 : 300;
+  if (v.holeCards.length === 4) iters = Math.ceil(iters / 2);
+  equity = kit.equity(v.holeCards, v.community, numOpp, iters);
+  const draw = v.phase !== 'river' && equity > 0.3 && equity < 0.5;
+  const reads = kit.reads(v);
+  // Committed: shove or call off with anything near a coin flip
+  if (spr < 1.2 && equity > 0.45) return v.canRaise ? { action: 'raise', amount: v.maxRaise } : { action: 'call' };
+  if (v.toCall === 0) {
+    if (v.canRaise && equity > 0.62) return { action: 'raise', amount: bet(equity > 0.8 ? 0.75 : 0.6) };
+    if (v.canRaise && (draw || equity > 0.45) && v.inPosition && kit.random() < Math.min(0.9, 0.45 * reads.bluffMult)) return { action: 'raise', amount: bet(0.5) };
+    // Pure bluff only into players who have shown they give up too often
+    if (v.canRaise && reads.foldToBet >= 0.6 && kit.random() < 0.35) return { action: 'raise', amount: bet(0.5) };
+    return { action: 'check' };
+  }
+  if (v.canRaise && equity > 0.75) return { action: 'raise', amount: clamp(v.toCall * 3 + v.pot * 0.3) };
+  if (v.canRaise && draw && v.inPosition && kit.random() < 0.15) return { action: 'raise', amount: clamp(v.toCall * 2.5) };
+  if (equity + reads.callBonus > potOdds + 0.03) return { action: 'call' };
+  return { action: 'fold' };
+} }, 'built-in');
+
+// ── Opponent model ────────────────────────────────────────────────────────────
+// Per room and player id, counted from the action stream (modelAction, called from
+// handleAction and doFold), the flop in advPhase and showdowns in finish(): how often
+// each player puts money in preflop, raises and 3-bets preflop, bets or calls after
+// the flop, folds to a flop c-bet, goes to and wins showdowns, and shows down a busted
+// hand after making the last bet. Bots get the ratios in botView and kit.reads();
+// players get them as the HUD (hudFor), with lifetime totals kept per account session.
+const MIN_READ_HANDS = 15, MIN_READ_SPOTS = 4;
+const MODEL_COUNTERS = ['hands', 'vpip', 'pfr', 'threeBetSpots', 'threeBets', 'cbetFaced', 'foldToCbet', 'sawFlop',
+                        'postflopAgg', 'postflopCalls', 'showdowns', 'showdownWins', 'aggShowdowns', 'bluffs'];
+
+function modelEntry(room, s) {
+  const m = room.opponentStats || (room.opponentStats = {});
+  const e = m[s.id] || (m[s.id] = {});
+  MODEL_COUNTERS.forEach(k => { e[k] = e[k] || 0; });   // entries saved before a counter existed
+  e.name = s.name;
+  return e;
+}
+
+// One event for the room model and, for a logged-in player, their lifetime totals
+function modelCount(room, s, key) {
+  modelEntry(room, s)[key]++;
+  const sess = accountSession(room, s);
+  if (sess) { const h = sess.hud || (sess.hud = {}); h[key] = (h[key] || 0) + 1; }
+  room.hud = null;
+}
+
+function modelHandStart(room, active) {
+  room.G.model = { vpip: new Set(), pfr: new Set(), pfAggressor: -1, pfRaises: 0, threeBetSpots: new Set(),
+                   flopBet: false, cbet: -1, cbetFaced: new Set(), lastAggressor: -1 };
+  active.forEach(i => modelCount(room, room.seats[i], 'hands'));
+}
+
+// action as recorded in the hand history: fold / check / call / bet / raise
+function modelAction(room, seat, action) {
+  const G = room.G, M = G && G.model, p = room.seats[seat];
+  if (!M || !p) return;
+  const count = key => modelCount(room, p, key), aggressive = action === 'bet' || action === 'raise';
+  if (G.phase === 'preflop') {
+    if ((action === 'call' || aggressive) && !M.vpip.has(seat)) { M.vpip.add(seat); count('vpip'); }
+    // Acting behind exactly one raise is a 3-bet spot, and re-raising it is the 3-bet
+    if (M.pfRaises === 1 && seat !== M.pfAggressor && !M.threeBetSpots.has(seat)) {
+      M.threeBetSpots.add(seat); count('threeBetSpots');
+      if (aggressive) count('threeBets');
+    }
+    if (aggressive) { if (!M.pfr.has(seat)) { M.pfr.add(seat); count('pfr'); } M.pfAggressor = seat; M.pfRaises++; }
+  } else {
+    if (aggressive) count('postflopAgg'); else if (action === 'call') count('postflopCalls');
+    if (G.phase === 'flop') {
+      if (M.cbet !== -1 && seat !== M.cbet && !M.cbetFaced.has(seat)) {
+        M.cbetFaced.add(seat); count('cbetFaced');
+        if (action === 'fold') count('foldToCbet');
+      }
+      if (aggressive && !M.flopBet) { M.flopBet = true; if (seat === M.pfAggressor) M.cbet = seat; }
+      else if (aggressive) M.cbet = -1;   // raised - whoever is left is facing the raise, not the c-bet
+    }
+  }
+  if (aggressive) M.lastAggressor = seat;
+}
+
+function modelFlop(room) {
+  const G = room.G;
+  if (!G.model || !G.history) return;
+  G.history.players.map(pl => room.seats[pl.seat]).filter(s => s && s.id && !s.folded).forEach(s => modelCount(room, s, 'sawFlop'));
+}
+
+// A bluff shown = made the last bet or raise, then lost the showdown with less than two pair
+function modelShowdown(room, winners) {
+  const G = room.G, M = G && G.model;
+  if (!M || !G.history) return;
+  const shown = G.history.players.map(pl => room.seats[pl.seat]).filter(s => s && s.id && !s.folded);
+  if (shown.length < 2) return;
+  shown.forEach(s => {
+    const won = winners.includes(s);
+    modelCount(room, s, 'showdowns');
+    if (won) modelCount(room, s, 'showdownWins');
+    if (s.seat !== M.lastAggressor) return;
+    modelCount(room, s, 'aggShowdowns');
+    if (!won && evalHole(s.cards, G.community) < 2e8) modelCount(room, s, 'bluffs');
+  });
+}
+
+// HUD figures from a set of counters: whole percentages, null until there's a spot to
+// count. AF is postflop bets + raises per call (just the bets + raises before any call).
+function hudFigures(c) {
+  const n = k => c[k] || 0, pct = (a, b) => (n(b) ? Math.round(n(a) / n(b) * 100) : null);
+  return { hands: n('hands'), vpip: pct('vpip', 'hands'), pfr: pct('pfr', 'hands'), threeBet: pct('threeBets', 'threeBetSpots'),
+           af: n('postflopCalls') ? Math.round(n('postflopAgg') / n('postflopCalls') * 10) / 10 : n('postflopAgg') || null,
+           wtsd: pct('showdowns', 'sawFlop'), wsd: pct('showdownWins', 'showdowns') };
+}
+
+// Lifetime counters are summed over the account's sessions, like accountProfile's figures
+function accountHud(acct) {
+  const total = {};
+  Object.values(acct.sessions).forEach(x => { if (x.hud) MODEL_COUNTERS.forEach(k => { total[k] = (total[k] || 0) + (x.hud[k] || 0); }); });
+  return total.hands ? hudFigures(total) : null;
+}
+
+// Room and lifetime HUD for a seat, cached until the next counted event
+function hudFor(room, s) {
+  const cache = room.hud || (room.hud = {});
+  if (!(s.id in cache)) {
+    const e = room.opponentStats && room.opponentStats[s.id], acct = s.account && accounts[s.account];
+    cache[s.id] = e ? { room: hudFigures(e), lifetime: acct ? accountHud(acct) : null } : null;
+  }
+  return cache[s.id];
+}
+
+// Ratios for one player, null until they've been dealt a hand here
+function modelReads(room, id) {
+  const e = room.opponentStats && room.opponentStats[id];
+  if (!e) return null;
+  const ratio = (n, d) => (d ? Math.round(n / d * 100) / 100 : null);
+  return { hands: e.hands, vpip: ratio(e.vpip, e.hands), pfr: ratio(e.pfr, e.hands),
+           cbetFaced: e.cbetFaced, foldToCbet: ratio(e.foldToCbet, e.cbetFaced),
+           showdowns: e.showdowns, aggShowdowns: e.aggShowdowns, bluff: ratio(e.bluffs, e.aggShowdowns) };
+}
+
+// What the reads on this table mean for a decision (kit.reads): callBonus is added to the
+// equity a call needs to beat, bluffMult scales how often to bet without the goods
+function opponentAdjust(v) {
+  const opps = v.players.filter(o => o.seat !== v.seat && !o.folded && o.reads);
+  const folders = opps.filter(o => o.reads.cbetFaced >= MIN_READ_SPOTS);
+  const foldToBet = folders.length ? folders.reduce((sum, o) => sum + o.reads.foldToCbet, 0) / folders.length : null;
+  const bettor = opps.find(o => o.seat === v.lastAggressor), r = bettor && bettor.reads;
+  let callBonus = 0;
+  if (r && r.aggShowdowns >= MIN_READ_SPOTS) callBonus += r.bluff >= 0.4 ? 0.08 : r.bluff >= 0.25 ? 0.04 : r.bluff === 0 ? -0.03 : 0;
+  if (r && r.hands >= MIN_READ_HANDS) callBonus += r.vpip <= 0.18 ? -0.06 : r.vpip >= 0.5 ? 0.04 : 0;
+  const bluffMult = foldToBet == null ? 1 : foldToBet >= 0.65 ? 2 : foldToBet >= 0.5 ? 1.4 : foldToBet <= 0.3 ? 0.3 : 1;
+  return { callBonus, bluffMult, foldToBet };
 }
 
 function scheduleBotAction(room, seat) {
@@ -232,9 +534,9 @@ function scheduleBotAction(room, seat) {
     if (!room.G || room.G.toAct[0] !== seat) return;
     const bot = room.seats[seat];
     if (!bot || !bot.isBot) return;
-    // If no human has a live connection, pause and stop acting
-    const humanPresent = room.seats.some(s =>
-      s && !s.isBot && !s.spectator && !s.pendingBuyBack &&
+    // If no human has a live connection (at any table of a tournament), pause and stop acting
+    const humanPresent = tournamentTables(room).flatMap(r => r.seats).some(s =>
+      s && !s.isBot && !s.external && !s.spectator && !s.pendingBuyBack &&
       s.ws && s.ws.readyState === 1
     );
     if (!humanPresent) {
@@ -254,25 +556,59 @@ function scheduleBotAction(room, seat) {
   }, thinkMs);
 }
 
-// ── Tournament blind structure (pence). ───────────────────────────────────────
-const TOURNAMENT_BLINDS = [
-  { sb: 10,   bb: 20   },  // Level 1
-  { sb: 20,   bb: 40   },  // Level 2
-  { sb: 30,   bb: 60   },  // Level 3
-  { sb: 50,   bb: 100  },  // Level 4
-  { sb: 75,   bb: 150  },  // Level 5
-  { sb: 100,  bb: 200  },  // Level 6
-  { sb: 150,  bb: 300  },  // Level 7
-  { sb: 200,  bb: 400  },  // Level 8
-  { sb: 300,  bb: 600  },  // Level 9
-  { sb: 500,  bb: 1000 },  // Level 10
-  { sb: 750,  bb: 1500 },  // Level 11
-  { sb: 1000, bb: 2000 },  // Level 12
-];
+// ── Tournament blind structures (chips). ──────────────────────────────────────
+// Levels are { sb, bb, ante, mins }, breaks are { break: true, mins }. The host
+// picks a preset or edits their own in the lobby; past the last level the blinds
+// keep doubling (see blindEntry) rather than stalling.
+const lv = (sb, bb, ante, mins) => ({ sb, bb, ante, mins });
+const BLIND_PRESETS = {
+  standard: [
+    lv(10, 20, 0, 10),    lv(20, 40, 0, 10),    lv(30, 60, 0, 10),     lv(50, 100, 0, 10),
+    lv(75, 150, 0, 10),   lv(100, 200, 0, 10),  lv(150, 300, 0, 10),   lv(200, 400, 0, 10),
+    lv(300, 600, 0, 10),  lv(500, 1000, 0, 10), lv(750, 1500, 0, 10),  lv(1000, 2000, 0, 10),
+  ],
+  turbo: [
+    lv(10, 20, 0, 5),     lv(15, 30, 0, 5),     lv(25, 50, 0, 5),      lv(50, 100, 10, 5),
+    lv(75, 150, 15, 5),   lv(100, 200, 25, 5),  lv(150, 300, 25, 5),   lv(200, 400, 50, 5),
+    lv(300, 600, 75, 5),  lv(400, 800, 100, 5), lv(600, 1200, 150, 5), lv(800, 1600, 200, 5),
+  ],
+  deep: [
+    lv(10, 20, 0, 15),    lv(15, 30, 0, 15),    lv(20, 40, 0, 15),     lv(25, 50, 0, 15),
+    { break: true, mins: 10 },
+    lv(30, 60, 0, 15),    lv(40, 80, 0, 15),    lv(50, 100, 10, 15),   lv(75, 150, 15, 15),
+    { break: true, mins: 10 },
+    lv(100, 200, 25, 15), lv(125, 250, 25, 15), lv(150, 300, 50, 15),  lv(200, 400, 50, 15),
+    { break: true, mins: 10 },
+    lv(250, 500, 75, 15), lv(300, 600, 100, 15), lv(400, 800, 100, 15), lv(500, 1000, 125, 15),
+  ],
+};
+const MAX_BLIND_ENTRIES = 40;
+
+// ── Tournament payouts (pence). ───────────────────────────────────────────────
+// Each entrant pays tournamentBuyIn into the prize pool. A payout table is a list
+// of tiers { upTo, pays } - percentages by finishing place - and the first tier
+// the field fits in is used, so small fields pay fewer places.
+const DEFAULT_TOURNAMENT_BUYIN = 1000;
+const PAYOUT_PRESETS = {
+  standard: [
+    { upTo: 3, pays: [100] },                  { upTo: 6, pays: [65, 35] },
+    { upTo: 10, pays: [50, 30, 20] },          { upTo: 18, pays: [40, 25, 17, 11, 7] },
+    { upTo: 27, pays: [35, 22, 15, 10, 8, 6, 4] }, { upTo: 999, pays: [30, 20, 14, 10, 8, 6, 5, 4, 3] },
+  ],
+  flat: [
+    { upTo: 4, pays: [70, 30] },               { upTo: 9, pays: [45, 30, 25] },
+    { upTo: 18, pays: [30, 20, 15, 12, 10, 8, 5] }, { upTo: 999, pays: [22, 16, 12, 10, 8, 7, 6, 5, 4, 4, 3, 3] },
+  ],
+  wta: [{ upTo: 999, pays: [100] }],
+};
+const MAX_PAID_PLACES = 20;
+const MAX_REBUY_LEVELS = 20;
+const MAX_LATE_REG_LEVELS = 20;
 
 // ─── Logging ──────────────────────────────────────────────────────────────────
-const LOGS_DIR = path.join(__dirname, 'logs');
+const LOGS_DIR = process.env.LOGS_DIR || path.join(__dirname, 'logs');
 if (!fs.existsSync(LOGS_DIR)) fs.mkdirSync(LOGS_DIR, { recursive: true });
+const HAND_LOGS = process.env.HAND_LOGS !== 'off';   // off for headless runs (tools/simulate.js) - no per-hand files
 
 const SERVER_LOG = path.join(LOGS_DIR, `server_${new Date().toISOString().replace(/[:.]/g,'-').slice(0,19)}.txt`);
 function svrLog(line) {
@@ -283,6 +619,7 @@ function svrLog(line) {
 }
 
 function handLogPath(roomId, handNum) {
+  if (!HAND_LOGS) return null;
   const ts = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
   return path.join(LOGS_DIR, `room${roomId}_hand${String(handNum).padStart(4,'0')}_${ts}.txt`);
 }
@@ -328,6 +665,233 @@ function writeChipSnapshot(room, label) {
   });
 }
 
+// ─── Structured hand history (JSON, one file per hand next to the .txt) ───────
+function handHistoryPath(logPath) { return logPath.replace(/\.txt$/, '.json'); }
+
+function newHandHistory(room, active, blinds) {
+  return {
+    version: 1, room: room.id, hand: room.handNum,
+    startedAt: new Date().toISOString(), endedAt: null,
+    gameType: room.gameType || 'cash', level: room.gameType === 'tournament' ? blindLevelNumber(room) : null,
+    variant: roomVariant(room), betting: roomBetting(room),
+    sb: blinds.sb, bb: blinds.bb, ante: blinds.ante || 0,
+    dealerSeat: room.dealerSeat, sbSeat: null, bbSeat: null,
+    players: active.map(i => {
+      const s = room.seats[i];
+      return { seat: i, id: s.id, name: s.name, stack: s.chips, isBot: s.isBot || false, cards: [] };
+    }),
+    actions: [], streets: [], board: [], showdown: [], pots: [], awards: [], stacksAfter: []
+  };
+}
+
+function histAction(room, seat, action, amount, note) {
+  const G = room.G, p = room.seats[seat];
+  if (!G || !G.history || !p) return;
+  const entry = { phase: G.phase, seat, name: p.name, action, amount: amount || 0, bet: p.bet, stack: p.chips, pot: G.pot };
+  if (p.chips === 0 && amount > 0) entry.allIn = true;
+  if (note) entry.note = note;
+  G.history.actions.push(entry);
+}
+
+function writeHandHistory(room) {
+  const G = room.G;
+  if (!G || !G.history || !G.logPath) return null;
+  const h = G.history;
+  h.endedAt = new Date().toISOString();
+  h.board = [...G.community];
+  if (G.runTwice && G.runTwice.board) h.board2 = [...G.runTwice.board];
+  h.stacksAfter = h.players.map(pl => {
+    const s = room.seats[pl.seat];
+    return { seat: pl.seat, name: pl.name, stack: s && s.id === pl.id ? s.chips : null };
+  });
+  const fp = handHistoryPath(G.logPath);
+  try { fs.writeFileSync(fp, JSON.stringify(h, null, 2)); return fp; }
+  catch (err) { svrLog(`HAND HISTORY WRITE FAILED: ${fp} — ${err.message}`); return null; }
+}
+
+function listHandHistories(roomId) {
+  const prefix = `room${roomId}_hand`;
+  let files = [];
+  try { files = fs.readdirSync(LOGS_DIR).filter(f => f.startsWith(prefix) && f.endsWith('.json')).sort(); } catch {}
+  return files.map(f => {
+    const m = f.match(/_hand(\d+)_(.+)\.json$/);
+    return { file: f, hand: m ? Number(m[1]) : null, time: m ? m[2] : null };
+  });
+}
+
+function readHandHistory(roomId, handNum) {
+  // Hand numbers restart when a room is recreated - latest file wins
+  const match = listHandHistories(roomId).filter(h => h.hand === handNum).pop();
+  if (!match) return null;
+  try { return JSON.parse(fs.readFileSync(path.join(LOGS_DIR, match.file), 'utf8')); } catch { return null; }
+}
+
+// Over HTTP a logged hand's hole cards stay private: anyone sees the hands shown down,
+// a player also sees their own. The client proves who it is with ?id=&secret= (the
+// session its socket joined with), matched against a seat at the table - or at any
+// table of the same tournament, as players get moved.
+function handRequester(roomId, params) {
+  const room = rooms.get(String(roomId)), id = params.get('id'), secret = params.get('secret');
+  if (!room || !id || !secret) return null;
+  return tournamentTables(room).flatMap(r => r.seats).find(s => s && s.id === id && s.secret === secret) || null;
+}
+
+// A text hand log as served: its HOLE CARDS DEALT block (written at the deal, so readable
+// mid-hand) keeps only the row for seat - the requester's seat in that hand, or -1
+function publicHandLog(text, seat) {
+  let inBlock = false;
+  return text.split('\n').filter(l => {
+    if (l.endsWith('HOLE CARDS DEALT:')) { inBlock = true; return true; }
+    if (!inBlock) return true;
+    const m = l.match(/\]\s+Seat +(\d+) \|/);
+    if (!m) { inBlock = false; return true; }
+    return Number(m[1]) - 1 === seat;
+  }).join('\n');
+}
+
+// A hand history with the private parts taken out. The fair-shuffle record goes too:
+// its server seed rebuilds the whole deck.
+function publicHandHistory(h, me) {
+  const shown = new Set(h.showdown.map(sd => sd.seat));
+  const { fair, ...pub } = h;
+  return { ...pub, players: h.players.map(p => shown.has(p.seat) || (me && p.id === me.id) ? p : { ...p, cards: [] }) };
+}
+
+// ─── PokerStars-format export (built from the JSON hand histories) ────────────
+const PS_SUIT = { '♠': 's', '♥': 'h', '♦': 'd', '♣': 'c' };
+const PS_STREET = { flop: 'FLOP', turn: 'TURN', river: 'RIVER' };
+
+function psCard(c) { return (c.r === '10' ? 'T' : c.r) + (PS_SUIT[c.s] || '?'); }
+function psCards(cards) { return `[${cards.map(psCard).join(' ')}]`; }
+
+function psRoman(n) {
+  const map = [[10, 'X'], [9, 'IX'], [5, 'V'], [4, 'IV'], [1, 'I']];
+  let out = '';
+  for (const [v, sym] of map) while (n >= v) { out += sym; n -= v; }
+  return out || 'I';
+}
+
+function psDate(iso) {
+  const d = new Date(iso), p2 = n => String(n).padStart(2, '0');
+  return `${d.getUTCFullYear()}/${p2(d.getUTCMonth()+1)}/${p2(d.getUTCDate())} ${d.getUTCHours()}:${p2(d.getUTCMinutes())}:${p2(d.getUTCSeconds())} UTC`;
+}
+
+// me: the requesting player (handRequester) - the hero, the only one dealt cards face up.
+// Everyone else's cards appear only if they were shown down.
+function pokerStarsHand(h, me) {
+  const cash = h.gameType !== 'tournament';
+  const amt = n => cash ? fmtPounds(n) : String(n);
+  const out = [];
+  const handId = `${Math.floor(Date.parse(h.startedAt) / 1000)}${String(h.hand).padStart(4, '0')}`;
+  // Limit games are quoted in small bet / big bet rather than blinds
+  const stakes = h.betting === 'fl' ? `${amt(h.bb)}/${amt(h.bb * 2)}` : `${amt(h.sb)}/${amt(h.bb)}`;
+  const variant = VARIANTS[h.variant] ? h.variant : 'holdem';
+  const game = `${VARIANTS[variant].name} ${BETTING[h.betting || VARIANTS[variant].betting].ps}`;
+  out.push(cash
+    ? `PokerStars Hand #${handId}:  ${game} (${stakes} GBP) - ${psDate(h.startedAt)}`
+    : `PokerStars Hand #${handId}: Tournament #${h.room}, ${game} - Level ${psRoman(h.level || 1)} (${stakes}) - ${psDate(h.startedAt)}`);
+  out.push(`Table 'SYFM Room ${h.room}' ${NP}-max Seat #${h.dealerSeat + 1} is the button`);
+  h.players.forEach(pl => out.push(`Seat ${pl.seat + 1}: ${pl.name} (${amt(pl.stack)} in chips)`));
+
+  // Uncalled bet = top contributor's excess over the next-highest contributor
+  const put = {};
+  h.actions.forEach(a => { put[a.seat] = (put[a.seat] || 0) + (a.amount || 0); });
+  const ranked = Object.entries(put).map(([seat, n]) => ({ seat: Number(seat), n })).sort((a, b) => b.n - a.n);
+  const uncalled = ranked.length > 1 && ranked[0].n > ranked[1].n
+    ? { seat: ranked[0].seat, amount: ranked[0].n - ranked[1].n } : null;
+  // It goes back at the end of the street the bet was made on
+  if (uncalled) uncalled.phase = h.actions.filter(a => a.seat === uncalled.seat && a.amount > 0).pop().phase;
+  const nameOf = seat => (h.players.find(pl => pl.seat === seat) || {}).name || `Seat ${seat + 1}`;
+
+  const foldedOn = {};
+  let phase = 'preflop', streetBet = 0, holeShown = false;
+  const emitHole = () => {
+    if (holeShown) return;
+    holeShown = true;
+    out.push('*** HOLE CARDS ***');
+    const hero = me && h.players.find(pl => pl.id === me.id);
+    if (hero && hero.cards.length) out.push(`Dealt to ${hero.name} ${psCards(hero.cards)}`);
+  };
+  // Run twice: streets dealt after the all-in are FIRST / SECOND
+  const runFrom = h.board2 ? h.board2.length - h.streets2.reduce((n, st) => n + st.cards.length, 0) : 5;
+  const emitStreet = (st, run = st.board.length > runFrom ? 'FIRST ' : '') => {
+    const prior = st.board.slice(0, st.board.length - st.cards.length);
+    out.push(`*** ${run}${PS_STREET[st.phase]} *** ${prior.length ? psCards(prior) + ' ' : ''}${psCards(st.cards)}`);
+  };
+  const streets = [...h.streets];
+  let returned = false;
+  const emitUncalled = () => {
+    if (!uncalled || returned) return;
+    returned = true;
+    out.push(`Uncalled bet (${amt(uncalled.amount)}) returned to ${nameOf(uncalled.seat)}`);
+  };
+
+  h.actions.forEach(a => {
+    if (a.phase !== phase) {
+      emitHole();
+      if (phase === uncalled?.phase) emitUncalled();
+      while (streets.length && streets[0].phase !== a.phase) emitStreet(streets.shift());
+      if (streets.length) emitStreet(streets.shift());
+      phase = a.phase; streetBet = 0;
+    }
+    const allIn = a.allIn ? ' and is all-in' : '';
+    switch (a.action) {
+      case 'post_ante': out.push(`${a.name}: posts the ante ${amt(a.amount)}${allIn}`); break;
+      case 'post_sb': out.push(`${a.name}: posts small blind ${amt(a.amount)}`); streetBet = Math.max(streetBet, a.bet); break;
+      case 'post_bb': out.push(`${a.name}: posts big blind ${amt(a.amount)}`); streetBet = Math.max(streetBet, a.bet); break;
+      case 'post_straddle': out.push(`${a.name}: posts straddle ${amt(a.amount)}`); streetBet = Math.max(streetBet, a.bet); break;
+      case 'post_missed': out.push(`${a.name}: posts ${a.note === 'dead bb' ? 'dead big blind' : a.note === 'dead' ? 'small & big blinds' : a.bet ? 'big blind' : 'small blind'} ${amt(a.amount)}`); streetBet = Math.max(streetBet, a.bet); break;
+      case 'fold':    emitHole(); out.push(`${a.name}: folds`); foldedOn[a.seat] = a.phase; break;
+      case 'check':   emitHole(); out.push(`${a.name}: checks`); break;
+      case 'call':    emitHole(); out.push(`${a.name}: calls ${amt(a.amount)}${allIn}`); break;
+      case 'bet':     emitHole(); out.push(`${a.name}: bets ${amt(a.amount)}${allIn}`); streetBet = a.bet; break;
+      case 'raise':
+        emitHole();
+        if (a.bet > streetBet) { out.push(`${a.name}: raises ${amt(a.bet - streetBet)} to ${amt(a.bet)}${allIn}`); streetBet = a.bet; }
+        else out.push(`${a.name}: calls ${amt(a.amount)}${allIn}`);
+        break;
+    }
+  });
+  emitHole();
+  emitUncalled();
+  streets.forEach(st => emitStreet(st));
+  if (h.streets2) h.streets2.forEach(st => emitStreet(st, 'SECOND '));
+
+  const won = {};
+  h.awards.forEach(aw => { won[aw.seat] = (won[aw.seat] || 0) + aw.amount; });
+  if (uncalled && won[uncalled.seat]) won[uncalled.seat] = Math.max(0, won[uncalled.seat] - uncalled.amount);
+  const shown = new Map(h.showdown.map(sd => [sd.seat, sd]));
+  if (h.showdown.length) {
+    out.push('*** SHOW DOWN ***');
+    h.showdown.forEach(sd => out.push(`${sd.name}: shows ${psCards(sd.cards)} (${sd.hand})`));
+  }
+  Object.entries(won).forEach(([seat, n]) => { if (n > 0) out.push(`${nameOf(Number(seat))} collected ${amt(n)} from pot`); });
+
+  const totalPot = Object.values(won).reduce((sum, n) => sum + n, 0);
+  out.push('*** SUMMARY ***');
+  out.push(`Total pot ${amt(totalPot)} | Rake ${amt(0)}`);
+  if (h.board2) { out.push('Hand was run twice'); out.push(`FIRST Board ${psCards(h.board)}`); out.push(`SECOND Board ${psCards(h.board2)}`); }
+  else if (h.board.length) out.push(`Board ${psCards(h.board)}`);
+  const foldLabel = ph => ph === 'preflop' ? 'folded before Flop' : `folded on the ${ph[0].toUpperCase()}${ph.slice(1)}`;
+  h.players.forEach(pl => {
+    const pos = pl.seat === h.dealerSeat ? ' (button)' : pl.seat === h.sbSeat ? ' (small blind)' : pl.seat === h.bbSeat ? ' (big blind)' : '';
+    const sd = shown.get(pl.seat), w = won[pl.seat] || 0;
+    let what;
+    if (foldedOn[pl.seat]) what = foldLabel(foldedOn[pl.seat]);
+    else if (sd) what = w > 0 ? `showed ${psCards(sd.cards)} and won (${amt(w)}) with ${sd.hand}` : `showed ${psCards(sd.cards)} and lost with ${sd.hand}`;
+    else what = w > 0 ? `collected (${amt(w)})` : 'mucked';
+    out.push(`Seat ${pl.seat + 1}: ${pl.name}${pos} ${what}`);
+  });
+  return out.join('\n') + '\n';
+}
+
+function pokerStarsSession(roomId, me) {
+  return listHandHistories(roomId)
+    .map(f => { try { return JSON.parse(fs.readFileSync(path.join(LOGS_DIR, f.file), 'utf8')); } catch { return null; } })
+    .filter(Boolean).sort((a, b) => Date.parse(a.startedAt) - Date.parse(b.startedAt))
+    .map(h => pokerStarsHand(h, me)).join('\n\n\n');
+}
+
 async function ftpUpload(localPath) {
   const host = process.env.FTP_HOST, user = process.env.FTP_USER, pass = process.env.FTP_PASS;
   const dir  = process.env.FTP_DIR || '/poker-logs';
@@ -370,24 +934,113 @@ const server = http.createServer((req, res) => {
   }
   if (req.url === '/logs') {
     let files = [];
-    try { files = fs.readdirSync(LOGS_DIR).filter(f => f.endsWith('.txt')).sort().reverse(); } catch {}
-    const links = files.map(f => `<li><a href="/logs/download/${encodeURIComponent(f)}">${f}</a></li>`).join('');
+    let jsonFiles = new Set();
+    try {
+      const all = fs.readdirSync(LOGS_DIR);
+      files = all.filter(f => f.endsWith('.txt')).sort().reverse();
+      jsonFiles = new Set(all.filter(f => f.endsWith('.json')));
+    } catch {}
+    const sessionRooms = new Set();
+    const links = files.map(f => {
+      const jf = f.replace(/\.txt$/, '.json');
+      const hm = f.match(/^room(\d+)_hand(\d+)_/);
+      let extra = '';
+      if (jsonFiles.has(jf)) {
+        extra += ` <a href="/logs/download/${encodeURIComponent(jf)}">[json]</a>`;
+        if (hm) { sessionRooms.add(hm[1]); extra += ` <a href="/logs/pokerstars/${hm[1]}/${Number(hm[2])}">[pokerstars]</a> <a href="/verify/${hm[1]}/${Number(hm[2])}">[verify]</a>`; }
+      }
+      return `<li><a href="/logs/download/${encodeURIComponent(f)}">${f}</a>${extra}</li>`;
+    }).join('');
+    const sessions = [...sessionRooms].sort().map(r => `<li><a href="/logs/pokerstars/${r}">Room ${r} - all hands (PokerStars format)</a></li>`).join('');
     res.writeHead(200, { 'Content-Type': 'text/html' });
-    res.end(`<!DOCTYPE html><html><head><title>Logs</title><style>body{font-family:monospace;background:#111;color:#aef;padding:20px}a{color:#ffd700}li{margin:4px 0}</style></head><body><h2>SYFM Poker - Hand Logs (${files.length} files)</h2><ul>${links}</ul><p><a href="/">Back to game</a></p></body></html>`);
+    res.end(`<!DOCTYPE html><html><head><title>Logs</title><style>body{font-family:monospace;background:#111;color:#aef;padding:20px}a{color:#ffd700}li{margin:4px 0}</style></head><body><h2>SYFM Poker - Hand Logs (${files.length} files)</h2>${sessions ? `<h3>Session exports</h3><ul>${sessions}</ul>` : ''}<ul>${links}</ul><p><a href="/">Back to game</a></p></body></html>`);
     return;
   }
-  const dl = req.url.match(/^\/logs\/download\/(.+)$/);
+  const dl = req.url.match(/^\/logs\/download\/([^?]+)(?:\?.*)?$/);
   if (dl) {
     const name = decodeURIComponent(dl[1]).replace(/[/\\]/g, '');
     const fp = path.join(LOGS_DIR, name);
-    if (!fp.startsWith(LOGS_DIR) || !name.endsWith('.txt')) { res.writeHead(403); res.end(); return; }
+    if (!fp.startsWith(LOGS_DIR) || !/\.(txt|json)$/.test(name)) { res.writeHead(403); res.end(); return; }
     fs.readFile(fp, (err, data) => {
       if (err) { res.writeHead(404); res.end('Not found'); return; }
-      res.writeHead(200, { 'Content-Type': 'text/plain', 'Content-Disposition': `attachment; filename="${name}"` });
+      const ctype = name.endsWith('.json') ? 'application/json' : 'text/plain';
+      const params = new URL(req.url, 'http://x').searchParams;
+      // JSON hand histories go through the same filter as /hands
+      if (name.endsWith('.json')) {
+        let h; try { h = JSON.parse(data); } catch { res.writeHead(500); res.end(); return; }
+        data = JSON.stringify(publicHandHistory(h, handRequester(h.room, params)), null, 2);
+      }
+      // Text hand logs lose the hole cards too - the hand's JSON (or, mid-hand, the live
+      // record) says which seat the requester had
+      const hm = name.match(/^room(\d+)_hand\d+_.*\.txt$/);
+      if (hm) {
+        const me = handRequester(hm[1], params), live = rooms.get(hm[1]);
+        let h = live && live.G && live.G.logPath === fp ? live.G.history : null;
+        if (me && !h) try { h = JSON.parse(fs.readFileSync(handHistoryPath(fp), 'utf8')); } catch {}
+        const pl = me && h && h.players.find(p => p.id === me.id);
+        data = publicHandLog(String(data), pl ? pl.seat : -1);
+      }
+      res.writeHead(200, { 'Content-Type': ctype, 'Content-Disposition': `attachment; filename="${name}"` });
       res.end(data);
     });
     return;
   }
+  const ps = req.url.match(/^\/logs\/pokerstars\/(\d{1,6})(?:\/(\d+))?\/?(?:\?.*)?$/);
+  if (ps) {
+    const roomId = ps[1], me = handRequester(roomId, new URL(req.url, 'http://x').searchParams);
+    let text, fname;
+    if (ps[2]) {
+      const h = readHandHistory(roomId, Number(ps[2]));
+      if (!h) { res.writeHead(404); res.end('Not found'); return; }
+      text = pokerStarsHand(h, me); fname = `pokerstars_room${roomId}_hand${String(h.hand).padStart(4,'0')}.txt`;
+    } else {
+      text = pokerStarsSession(roomId, me); fname = `pokerstars_room${roomId}_session.txt`;
+      if (!text) { res.writeHead(404); res.end('Not found'); return; }
+    }
+    res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8', 'Content-Disposition': `attachment; filename="${fname}"` });
+    res.end(text);
+    return;
+  }
+  const hh = req.url.match(/^\/hands\/(\d{1,6})(?:\/(\d+))?\/?(?:\?.*)?$/);
+  if (hh) {
+    const roomId = hh[1];
+    const h = hh[2] && readHandHistory(roomId, Number(hh[2]));
+    const body = !hh[2] ? { room: roomId, hands: listHandHistories(roomId) } : h && publicHandHistory(h, handRequester(roomId, new URL(req.url, 'http://x').searchParams));
+    if (!body) { res.writeHead(404, { 'Content-Type': 'application/json' }); res.end('{"error":"Hand not found"}'); return; }
+    res.writeHead(200, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+    res.end(JSON.stringify(body));
+    return;
+  }
+  const vf = req.url.match(/^\/verify\/(\d{1,6})\/(\d+)(\.json)?\/?(\?.*)?$/);
+  if (vf) {
+    const h = readHandHistory(vf[1], Number(vf[2]));
+    if (!h) { res.writeHead(404); res.end('Not found'); return; }
+    const v = verifyHand(h, handRequester(vf[1], new URL(req.url, 'http://x').searchParams));
+    if (vf[3]) { res.writeHead(200, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }); res.end(JSON.stringify(v)); return; }
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(verifyPage(v, vf[4]));
+    return;
+  }
+  const pf = req.url.match(/^\/profile\/([^/?]+?)(\.json)?\/?$/);
+  if (pf) {
+    let pname = pf[1]; try { pname = decodeURIComponent(pname); } catch {}
+    const profile = accountProfile(pname);
+    if (!profile) { res.writeHead(404); res.end('No such player'); return; }
+    if (pf[2]) { res.writeHead(200, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }); res.end(JSON.stringify(profile)); return; }
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(profilePage(profile));
+    return;
+  }
+  const sm = req.url.match(/^\/settlement\/(\d{1,6})\/?$/);
+  if (sm) {
+    const r = rooms.get(sm[1]);
+    if (!r) { res.writeHead(404, { 'Content-Type': 'application/json' }); res.end('{"error":"Room not found"}'); return; }
+    // Final figures once the host has ended the game, otherwise where things stand now
+    const body = !r.gameActive && r.lastSettlement ? { ...r.lastSettlement, final: true } : { ...sessionSettlement(r), final: false };
+    res.writeHead(200, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+    res.end(JSON.stringify(body));
+    return;
+  }
   if (req.url && req.url.startsWith('/keepalive')) {
     const params = new URL(req.url, 'http://x').searchParams;
     const roomP = params.get('room') || '?', handP = params.get('hand') || '?';
@@ -408,6 +1061,7 @@ const rooms = new Map();
 
 function destroyRoom(room) {
   svrLog(`ROOM ${room.id} DESTROY`);
+  if (room.mtt === room.id) tournaments.delete(room.id);
   clearActionTimer(room);
   stopBlindTimer(room);
   if (room._emptyTimer) { clearTimeout(room._emptyTimer); room._emptyTimer = null; }
@@ -418,20 +1072,24 @@ function destroyRoom(room) {
       try { if (s.ws?.readyState === 1) s.ws.close(); } catch {}
     }
   });
-  room.pendingJoins.forEach(p => { try { if (p.ws?.readyState === 1) p.ws.close(); } catch {} });
+  [...room.pendingJoins, ...(room.viewers || [])].forEach(p => { try { if (p.ws?.readyState === 1) p.ws.close(); } catch {} });
   rooms.delete(room.id);
 }
 
 function scheduleRoomCleanup(room) {
   if (room._emptyTimer) { clearTimeout(room._emptyTimer); room._emptyTimer = null; }
-  const hasConnected = room.seats.some(s => s && !s.disconnected && s.ws?.readyState === 1)
-    || room.pendingJoins.some(p => p.ws?.readyState === 1);
-  if (!hasConnected) {
+  // A tournament table stays open while anyone is connected at any of its tables
+  const connected = () => tournamentTables(room).some(r => r.seats.some(s => s && !s.disconnected && s.ws?.readyState === 1)
+    || r.pendingJoins.some(p => p.ws?.readyState === 1));
+  if (!connected()) {
     room._emptyTimer = setTimeout(() => {
-      const stillEmpty = !room.seats.some(s => s && !s.disconnected && s.ws?.readyState === 1)
-        && !room.pendingJoins.some(p => p.ws?.readyState === 1);
-      if (stillEmpty) destroyRoom(room);
-    }, ROOM_EMPTY_TTL_MS);
+      const stillEmpty = !connected();
+      if (stillEmpty) {
+        // Whoever is still seated when the table closes leaves with their stack
+        room.seats.forEach(s => { if (s && !s.isBot && !s.spectator) accountRecordExit(room, s, 'left'); });
+        destroyRoom(room); saveRooms();
+      }
+    }, room._restored ? RESTORED_ROOM_TTL_MS : ROOM_EMPTY_TTL_MS);
   }
 }
 
@@ -439,17 +1097,30 @@ function getOrCreateRoom(roomId) {
   if (!rooms.has(roomId)) {
     rooms.set(roomId, {
       id: roomId, seats: Array(NP).fill(null), hostId: null,
+      seed: DECK_SEED,
       gameActive: false, pendingJoins: [], G: null, dealerSeat: -1,
       actionTimer: null, handNum: 0,
       paused: false, actionTimerSeat: -1, actionTimerRemaining: ACTION_TIMEOUT,
       actionTimerStarted: 0,
       buyIn: START_CHIPS,
+      stakes: { sb: SB, bb: BB, ante: 0, straddle: false },
+      pendingStakes: null,
       _emptyTimer: null,
       gameHistory: [],
+      variant: 'holdem',
+      betting: 'nl',
       // ── Tournament fields ──
       gameType: 'cash',
       tournamentChips: 8000,
+      tournamentBuyIn: DEFAULT_TOURNAMENT_BUYIN,
+      payoutPreset: 'standard',
+      payoutTiers: null,
+      tournamentEntrants: 0,
+      rebuyLevels: 0, addOn: false, rebuyFees: 0, lateRegLevels: 0,
+      timeBankSecs: TIME_BANK.secs, timeBankAdd: TIME_BANK.add, timeBankEvery: TIME_BANK.every,
       blindLevelDuration: 10,
+      blindPreset: 'standard',
+      blindStructure: BLIND_PRESETS.standard.map(e => ({ ...e })),
       blindLevel: 0,
       blindLevelTimer: null,
       blindLevelStartedAt: null,
@@ -464,34 +1135,488 @@ function getOrCreateRoom(roomId) {
   return room;
 }
 
+// ─── Room persistence ─────────────────────────────────────────────────────────
+// Rooms are snapshotted after every hand and on shutdown, and restored paused on
+// startup. Players reclaim their seats through the normal id+secret reconnect.
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+const ROOMS_STATE_FILE = path.join(DATA_DIR, 'rooms.json');
+const RESTORED_ROOM_TTL_MS = 15 * 60_000;   // time everyone gets to come back after a restart
+
+function snapshotRoom(room) {
+  // A hand still in play is voided - everyone gets back what they put in
+  const voided = !!(room.G && room.G.pot > 0);
+  return {
+    id: room.id, hostId: room.hostId, gameActive: room.gameActive, gameStartedAt: room.gameStartedAt || null,
+    buyIn: room.buyIn, stakes: roomStakes(room), handNum: room.handNum, dealerSeat: room.dealerSeat,
+    gameHistory: room.gameHistory || [],
+    gameType: room.gameType, variant: roomVariant(room), betting: roomBetting(room), tournamentChips: room.tournamentChips,
+    blindLevelDuration: room.blindLevelDuration, blindLevel: room.blindLevel,
+    blindPreset: room.blindPreset, blindStructure: blindStructure(room),
+    tournamentBuyIn: room.tournamentBuyIn, payoutPreset: room.payoutPreset, payoutTiers: room.payoutTiers, tournamentEntrants: room.tournamentEntrants,
+    rebuyLevels: room.rebuyLevels || 0, addOn: !!room.addOn, rebuyFees: room.rebuyFees || 0, lateRegLevels: room.lateRegLevels || 0,
+    timeBankSecs: room.timeBankSecs, timeBankAdd: room.timeBankAdd, timeBankEvery: room.timeBankEvery,
+    blindLevelRemaining: getBlindLevelRemainingMs(room),
+    tournamentPlacement: room.tournamentPlacement || [],
+    voidedHand: voided ? room.handNum : null,
+    lastSettlement: room.lastSettlement || null,
+    pendingStakes: room.pendingStakes || null,
+    opponentStats: room.opponentStats || null,
+    watchApproval: !!room.watchApproval, watchRevealDelay: room.watchRevealDelay ?? null,
+    mtt: room.mtt || null, multiTable: !!room.multiTable, broken: !!room._broken,
+    seats: room.seats.map(s => s && {
+      id: s.id, name: s.name, seat: s.seat, secret: s.secret, ip: s.ip,
+      chips: s.chips + (voided ? (s.totalBet || 0) : 0),
+      buyInCount: s.buyInCount, buyInTotal: s.buyInTotal,
+      rebuys: s.rebuys, addOns: s.addOns, entryFees: s.entryFees, pendingTopUp: s.pendingTopUp || null, lateEntry: s.lateEntry || false,
+      isBot: s.isBot || false, botStyle: s.botStyle || null, strategy: s.strategy || null, external: s.external || false,
+      sittingOut: s.sittingOut || false,
+      spectator: s.spectator || s.pendingBuyBack || false,   // buy-back offers don't survive a restart
+      voluntaryAutoFold: s.voluntaryAutoFold || false,
+      sitOut: s.sitOut || false, missedBB: s.missedBB || false, missedSB: s.missedSB || false, straddleOn: s.straddleOn || false,
+      timeBank: s.timeBank ?? null,
+      account: s.account || null,
+    }),
+  };
+}
+
+function saveRooms() {
+  const data = { version: 1, savedAt: new Date().toISOString(),
+    rooms: [...rooms.values()].filter(r => r.seats.some(Boolean)).map(snapshotRoom),
+    tournaments: [...tournaments.values()] };
+  const tmp = ROOMS_STATE_FILE + '.tmp';
+  try { fs.writeFileSync(tmp, JSON.stringify(data, null, 2)); fs.renameSync(tmp, ROOMS_STATE_FILE); }
+  catch (err) { svrLog(`ROOM STATE SAVE FAILED: ${err.message}`); }
+}
+
+function restoreRooms() {
+  let data;
+  try { data = JSON.parse(fs.readFileSync(ROOMS_STATE_FILE, 'utf8')); } catch { return; }
+  (data.rooms || []).forEach(r => {
+    const room = getOrCreateRoom(r.id);
+    Object.assign(room, {
+      hostId: r.hostId, gameActive: !!r.gameActive, gameStartedAt: r.gameStartedAt || null, buyIn: r.buyIn || START_CHIPS,
+      stakes: sanitizeStakes(r.stakes) || { sb: SB, bb: BB, ante: 0, straddle: false }, pendingStakes: sanitizeStakes(r.pendingStakes),
+      handNum: r.handNum || 0, dealerSeat: r.dealerSeat ?? -1, gameHistory: r.gameHistory || [],
+      gameType: r.gameType || 'cash', variant: r.variant || 'holdem', betting: r.betting || null, tournamentChips: r.tournamentChips || 8000,
+      blindLevelDuration: r.blindLevelDuration || 10, blindLevel: r.blindLevel || 0,
+      blindPreset: r.blindPreset || 'standard', blindStructure: sanitizeBlindStructure(r.blindStructure) || BLIND_PRESETS.standard.map(e => ({ ...e })),
+      tournamentPlacement: r.tournamentPlacement || [], lastSettlement: r.lastSettlement || null, opponentStats: r.opponentStats || null,
+      watchApproval: !!r.watchApproval, watchRevealDelay: r.watchRevealDelay ?? null,
+      mtt: r.mtt || null, multiTable: !!r.multiTable, _broken: !!r.broken,
+      tournamentBuyIn: r.tournamentBuyIn ?? DEFAULT_TOURNAMENT_BUYIN, payoutPreset: r.payoutPreset || 'standard',
+      payoutTiers: r.payoutTiers || null, tournamentEntrants: r.tournamentEntrants || 0,
+      rebuyLevels: r.rebuyLevels || 0, addOn: !!r.addOn, rebuyFees: r.rebuyFees || 0, lateRegLevels: r.lateRegLevels || 0,
+      timeBankSecs: r.timeBankSecs ?? TIME_BANK.secs, timeBankAdd: r.timeBankAdd ?? TIME_BANK.add, timeBankEvery: r.timeBankEvery ?? TIME_BANK.every,
+    });
+    room.seats = (r.seats || []).map(s => {
+      if (!s) return null;
+      const p = s.isBot ? mkBot(s.id, s.name, s.seat, room, s.chips, s.strategy || DEFAULT_BOT_STRATEGY)
+                        : mkPlayer(null, s.id, s.name, s.seat, room, s.chips, s.ip, s.secret);
+      p.buyInCount = s.buyInCount || 1; p.buyInTotal = s.buyInTotal ?? s.chips;
+      if (s.entryFees != null) { p.rebuys = s.rebuys || 0; p.addOns = s.addOns || 0; p.entryFees = s.entryFees; p.pendingTopUp = s.pendingTopUp || null; p.lateEntry = !!s.lateEntry; }
+      p.sittingOut = s.sittingOut; p.spectator = s.spectator; p.voluntaryAutoFold = s.voluntaryAutoFold;
+      p.sitOut = s.sitOut || false; p.missedBB = !!s.missedBB; p.missedSB = !!s.missedSB; p.straddleOn = !!s.straddleOn;
+      p.timeBank = s.timeBank ?? null;
+      if (s.external) p.external = true;
+      if (s.account && accounts[s.account]) p.account = s.account;
+      if (s.isBot) { if (s.botStyle) p.botStyle = s.botStyle; }
+      else { p.disconnected = true; p.autoFold = true; p._disconnectedAt = Date.now(); p._missedHands = 0; }
+      return p;
+    });
+    // Nothing is dealt until someone at the table resumes
+    if (room.gameActive) {
+      room.paused = true; room._pausedAt = Date.now();
+      if (room.gameType === 'tournament') { room.blindLevelRemaining = r.blindLevelRemaining; room.blindLevelPausedAt = Date.now(); }
+    }
+    room._restored = true;
+    const seated = room.seats.filter(Boolean).length;
+    svrLog(`ROOM ${room.id} RESTORED | ${seated} seated | type=${room.gameType} ${roomBetting(room)}-${roomVariant(room)} | active=${room.gameActive} | hand #${room.handNum}`
+      + (r.voidedHand != null ? ` | hand #${r.voidedHand} voided, bets refunded` : ''));
+    scheduleRoomCleanup(room);
+  });
+  // Re-link multi-table tournaments: tables that had nobody left are gone
+  (data.tournaments || []).forEach(t => {
+    const tableIds = (t.tableIds || []).filter(id => rooms.has(id));
+    if (!rooms.has(t.id)) return;
+    tournaments.set(t.id, { id: t.id, tableIds, entrants: t.entrants || 0 });
+    const placement = rooms.get(t.id).tournamentPlacement;
+    tableIds.forEach(id => { rooms.get(id).tournamentPlacement = placement; });
+  });
+}
+
+// ─── Player accounts ──────────────────────────────────────────────────────────
+// Optional name + password profiles kept in data/accounts.json. Every game a
+// player sits in is one session, upserted like room.gameHistory; lifetime
+// figures are summed from the sessions when a profile is viewed.
+const ACCOUNTS_FILE = path.join(DATA_DIR, 'accounts.json');
+let accounts = {};
+try { accounts = JSON.parse(fs.readFileSync(ACCOUNTS_FILE, 'utf8')).accounts || {}; } catch {}
+
+function accountKey(name) { return String(name || '').trim().toLowerCase(); }
+function hashCredential(password, salt) { return crypto.scryptSync(String(password), salt, 32).toString('hex'); }
+
+function saveAccounts() {
+  const tmp = ACCOUNTS_FILE + '.tmp';
+  try { fs.writeFileSync(tmp, JSON.stringify({ version: 1, accounts }, null, 2)); fs.renameSync(tmp, ACCOUNTS_FILE); }
+  catch (err) { svrLog(`ACCOUNTS SAVE FAILED: ${err.message}`); }
+}
+
+// First login creates the account; returns its key, or null on a wrong password
+function loginAccount(name, password) {
+  const key = accountKey(name);
+  let acct = accounts[key];
+  if (!acct) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    acct = accounts[key] = { name, salt, hash: hashCredential(password, salt), createdAt: new Date().toISOString(), lastSeen: null, sessions: {} };
+    svrLog(`ACCOUNT CREATED: ${name}`);
+  } else if (!crypto.timingSafeEqual(Buffer.from(acct.hash, 'hex'), Buffer.from(hashCredential(password, acct.salt), 'hex'))) {
+    return null;
+  }
+  acct.lastSeen = new Date().toISOString();
+  saveAccounts();
+  return key;
+}
+
+function accountSession(room, s) {
+  const acct = s && s.account && accounts[s.account];
+  if (!acct) return null;
+  const sid = `${room.id}:${s.id}:${room.gameStartedAt || ''}`;
+  if (!acct.sessions[sid]) {
+    acct.sessions[sid] = { room: room.id, gameType: room.gameType || 'cash', startedAt: room.gameStartedAt || new Date().toISOString(),
+      hands: 0, buyInTotal: 0, buyInCount: 0, stack: null, cashOut: null, net: null, status: 'active', place: null, entrants: null };
+  }
+  const sess = acct.sessions[sid];
+  sess.updatedAt = new Date().toISOString();
+  return sess;
+}
+
+function accountHandsPlayed(room, seats) {
+  let changed = false;
+  seats.forEach(i => {
+    const s = room.seats[i], sess = accountSession(room, s);
+    if (!sess) return;
+    sess.hands++; sess.buyInTotal = s.buyInTotal || 0; sess.buyInCount = s.buyInCount || 1; sess.stack = s.chips;
+    changed = true;
+  });
+  if (changed) saveAccounts();
+}
+
+function accountRecordExit(room, s, status) {
+  const sess = accountSession(room, s);
+  if (!sess) return;
+  sess.status = sess.place === 1 ? 'winner' : status;
+  sess.buyInTotal = s.buyInTotal || 0; sess.buyInCount = s.buyInCount || 1; sess.stack = s.chips;
+  // Tournament chips aren't money - only cash games count towards the P&L
+  if (sess.gameType === 'cash') { sess.cashOut = s.chips; sess.net = s.chips - sess.buyInTotal; }
+  saveAccounts();
+}
+
+function accountRecordFinish(room, s, place, entrants, prize) {
+  const sess = accountSession(room, s);
+  if (!sess) return;
+  sess.place = place; sess.entrants = entrants; sess.status = place === 1 ? 'winner' : 'bust';
+  sess.entryFee = s.entryFees ?? (room.tournamentBuyIn || 0); sess.prize = prize || 0;
+  saveAccounts();
+}
+
+function accountProfile(name) {
+  const acct = accounts[accountKey(name)];
+  if (!acct) return null;
+  const sessions = Object.values(acct.sessions).sort((a, b) => String(b.startedAt).localeCompare(String(a.startedAt)));
+  const cash = sessions.filter(x => x.gameType === 'cash'), closed = cash.filter(x => x.cashOut != null);
+  const tourn = sessions.filter(x => x.gameType === 'tournament'), finished = tourn.filter(x => x.place != null);
+  const sum = (arr, f) => arr.reduce((t, x) => t + (x[f] || 0), 0);
+  return {
+    name: acct.name, createdAt: acct.createdAt, lastSeen: acct.lastSeen,
+    handsPlayed: sum(sessions, 'hands'), hud: accountHud(acct),
+    cash: { sessions: cash.length, open: cash.length - closed.length, buyIns: sum(closed, 'buyInCount'), buyInTotal: sum(closed, 'buyInTotal'), cashOutTotal: sum(closed, 'cashOut'), net: sum(closed, 'net') },
+    tournaments: { played: tourn.length, finished: finished.length, wins: finished.filter(x => x.place === 1).length,
+      itm: finished.filter(x => x.prize > 0).length, fees: sum(finished, 'entryFee'), prizes: sum(finished, 'prize'),
+      avgFinish: finished.length ? +(sum(finished, 'place') / finished.length).toFixed(1) : null },
+    sessions,
+  };
+}
+
+function escHtml(str) { return String(str).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`); }
+
+function hudLine(h) {
+  const v = (x, unit = '%') => (x == null ? '-' : x + unit);
+  return `VPIP ${v(h.vpip)} | PFR ${v(h.pfr)} | 3-bet ${v(h.threeBet)} | AF ${v(h.af, '')} | WTSD ${v(h.wtsd)} | W$SD ${v(h.wsd)} | ${h.hands} hands`;
+}
+
+function profilePage(p) {
+  const name = escHtml(p.name), net = n => (n >= 0 ? '+' : '-') + fmtPounds(Math.abs(n));
+  const rows = p.sessions.map(x => {
+    const result = x.gameType === 'tournament'
+      ? (x.place != null ? `Finished ${x.place}${x.entrants ? ' of ' + x.entrants : ''}${x.prize ? ` - won ${fmtPounds(x.prize)}` : ''}` : 'In progress')
+      : (x.cashOut != null ? `${fmtPounds(x.buyInTotal)} in / ${fmtPounds(x.cashOut)} out (${net(x.net)})` : `${fmtPounds(x.buyInTotal)} in - at table`);
+    return `<tr><td>${String(x.startedAt).slice(0, 16).replace('T', ' ')}</td><td>Room ${x.room}</td><td>${x.gameType}</td><td>${x.hands}</td><td>${result}</td><td>${x.status}</td></tr>`;
+  }).join('');
+  const c = p.cash, t = p.tournaments;
+  return `<!DOCTYPE html><html><head><title>${name} - Profile</title><style>body{font-family:monospace;background:#111;color:#aef;padding:20px}a{color:#ffd700}h2,h3{color:#ffd700}table{border-collapse:collapse}td,th{padding:4px 12px;border-bottom:1px solid #333;text-align:left}</style></head><body>`
+    + `<h2>SYFM Poker - ${name}</h2><p>Member since ${String(p.createdAt).slice(0, 10)} | Hands played: ${p.handsPlayed}</p>`
+    + (p.hud ? `<p>${hudLine(p.hud)}</p>` : '')
+    + `<h3>Cash games</h3><p>Sessions: ${c.sessions}${c.open ? ` (${c.open} open)` : ''} | Buy-ins: ${c.buyIns} (${fmtPounds(c.buyInTotal)}) | Cashed out: ${fmtPounds(c.cashOutTotal)} | Net: ${net(c.net)}</p>`
+    + `<h3>Tournaments</h3><p>Played: ${t.played} | Wins: ${t.wins} | In the money: ${t.itm}${t.avgFinish != null ? ` | Average finish: ${t.avgFinish}` : ''} | Entry fees: ${fmtPounds(t.fees)} | Prizes: ${fmtPounds(t.prizes)} | Net: ${net(t.prizes - t.fees)}</p>`
+    + `<h3>Sessions</h3><table><tr><th>Started</th><th>Room</th><th>Type</th><th>Hands</th><th>Result</th><th>Status</th></tr>${rows}</table>`
+    + `<p><a href="/profile/${encodeURIComponent(p.name)}.json">[json]</a> <a href="/">Back to game</a></p></body></html>`;
+}
+
 // ── Tournament blind timer ────────────────────────────────────────────────────
+function blindStructure(room) {
+  return Array.isArray(room.blindStructure) && room.blindStructure.some(e => !e.break) ? room.blindStructure : BLIND_PRESETS.standard;
+}
+
+// Entry idx of the structure; past the end each extra level doubles the last one
+function blindEntry(room, idx) {
+  const st = blindStructure(room);
+  if (idx < st.length) return st[idx];
+  const last = [...st].reverse().find(e => !e.break), k = 2 ** (idx - st.length + 1);
+  return { sb: last.sb * k, bb: last.bb * k, ante: (last.ante || 0) * k, mins: last.mins };
+}
+function blindEntryMs(room, idx) { return (blindEntry(room, idx).mins || room.blindLevelDuration || 10) * 60 * 1000; }
+// Level number players see - breaks don't count
+function blindLevelNumber(room, idx = room.blindLevel || 0) {
+  const st = blindStructure(room);
+  return st.slice(0, Math.min(idx + 1, st.length)).filter(e => !e.break).length + Math.max(0, idx + 1 - st.length);
+}
+function nextBlindLevel(room) {
+  for (let i = (room.blindLevel || 0) + 1; ; i++) { const e = blindEntry(room, i); if (!e.break) return e; }
+}
+function onBlindBreak(room) { return room.gameType === 'tournament' && room.gameActive && !!blindEntry(room, room.blindLevel || 0).break; }
+
+// Host-supplied structure -> clean copy, or null if it isn't usable
+function sanitizeBlindStructure(list) {
+  if (!Array.isArray(list) || !list.length || list.length > MAX_BLIND_ENTRIES) return null;
+  const int = (v, lo, hi) => Math.max(lo, Math.min(hi, Math.round(Number(v) || 0)));
+  const out = list.map(e => e && e.break
+    ? { break: true, mins: int(e.mins, 1, 60) }
+    : (() => { const sb = int(e && e.sb, 1, 1e7), bb = int(e && e.bb, sb, 1e7);
+               return { sb, bb, ante: int(e && e.ante, 0, bb), mins: int(e && e.mins, 1, 120) }; })());
+  if (out[0].break) return null;  // play starts on a level
+  return out;
+}
+
+function payoutTable(room) {
+  return room.payoutPreset === 'custom' && room.payoutTiers ? room.payoutTiers : PAYOUT_PRESETS[room.payoutPreset] || PAYOUT_PRESETS.standard;
+}
+
+// Percentages paid for a field this size - never more places than entrants - 1
+function payoutPercents(room, entrants) {
+  const tiers = payoutTable(room);
+  const tier = tiers.find(t => entrants <= t.upTo) || tiers[tiers.length - 1];
+  const pays = tier.pays.slice(0, Math.max(1, entrants - 1));
+  const sum = pays.reduce((a, b) => a + b, 0);
+  return pays.map(p => p * 100 / sum);
+}
+
+function prizePool(room) { return (room.tournamentBuyIn || 0) * (room.tournamentEntrants || 0) + rebuyFees(room); }
+
+// Prize for each place (index 0 = 1st); the odd pennies go to the winner
+function prizeTable(room, entrants = room.tournamentEntrants || 0) {
+  const pool = (room.tournamentBuyIn || 0) * entrants + rebuyFees(room);
+  const prizes = payoutPercents(room, entrants).map(p => Math.floor(pool * p / 100));
+  if (prizes.length) prizes[0] += pool - prizes.reduce((a, b) => a + b, 0);
+  return prizes;
+}
+
+// Players tied on a place share the prizes for the places they cover; leftover pennies
+// go one each to the first of them, like odd chips in a split pot
+function tiedPrizes(room, place, count) {
+  const prizes = prizeTable(room);
+  let sum = 0; for (let p = place; p < place + count; p++) sum += prizes[p - 1] || 0;
+  const each = Math.floor(sum / count), extra = sum - each * count;
+  return Array.from({ length: count }, (_, i) => each + (i < extra ? 1 : 0));
+}
+
+function sanitizePayouts(list) {
+  if (!Array.isArray(list) || !list.length || list.length > MAX_PAID_PLACES) return null;
+  const pays = list.map(Number);
+  if (pays.some(p => !(p > 0))) return null;
+  if (Math.abs(pays.reduce((a, b) => a + b, 0) - 100) > 0.01) return null;
+  return [{ upTo: 999, pays }];
+}
+
+function placeLabel(n) { return n + (n % 10 === 1 && n % 100 !== 11 ? 'st' : n % 10 === 2 && n % 100 !== 12 ? 'nd' : n % 10 === 3 && n % 100 !== 13 ? 'rd' : 'th'); }
+
+function prizeLines(room) {
+  const prizes = prizeTable(room), placement = room.tournamentPlacement || [];
+  const fees = rebuyFees(room);
+  return [`PRIZE POOL: ${fmtPounds(prizePool(room))} (${room.tournamentEntrants || 0} x ${fmtPounds(room.tournamentBuyIn || 0)}${fees ? ` + ${fmtPounds(fees)} rebuys/add-ons` : ''})`]
+    .concat(prizes.map((amt, i) => {
+      const won = placement.filter(p => p.place === i + 1);
+      return `  ${placeLabel(i + 1).padEnd(5)} ${fmtPounds(amt).padStart(9)}  ${won.length ? won.map(p => p.name + (p.prize !== amt ? ` (${fmtPounds(p.prize)})` : '')).join(', ') : '-'}`;
+    }));
+}
+
+// ── Rebuys and add-ons. ───────────────────────────────────────────────────────
+// For the first rebuyLevels blind levels a player at or under the starting stack
+// may rebuy - another tournamentBuyIn for another tournamentChips. The blind entry
+// straight after that is the add-on window: one more stack, once per player. Every
+// fee goes into the prize pool, tracked per table and summed across the tournament.
+// Blind entry index of level n (breaks skipped) - where a "first n levels" window ends
+function levelEndIndex(room, n) {
+  for (let i = 0; ; i++) if (!blindEntry(room, i).break && blindLevelNumber(room, i) >= n) return i;
+}
+
+function rebuyPhase(room) {
+  const clock = blindClock(room);
+  if (room.gameType !== 'tournament' || !clock.gameActive || !(room.rebuyLevels > 0)) return null;
+  const end = levelEndIndex(room, room.rebuyLevels), idx = clock.blindLevel || 0;
+  if (idx <= end) return 'rebuy';
+  return room.addOn && idx === end + 1 ? 'addon' : null;
+}
+
+function rebuyFees(room) { return tournamentTables(room).reduce((n, r) => n + (r.rebuyFees || 0), 0); }
+
+function canTopUp(room, s, kind) {
+  if (!s || s.spectator || rebuyPhase(room) !== kind || s.pendingTopUp) return false;
+  return kind === 'rebuy' ? s.chips <= room.tournamentChips : !(s.addOns > 0);
+}
+
+// Chips can't change mid-hand - a player dealt in gets them with the next deal
+function queueOrTopUp(room, s, kind) {
+  if (room.G && s.cards?.length && !s.folded) { s.pendingTopUp = kind; return false; }
+  topUp(room, s, kind); return true;
+}
+
+function topUp(room, s, kind) {
+  const cost = room.tournamentBuyIn || 0, chips = room.tournamentChips;
+  s.chips += chips; s.buyInCount = (s.buyInCount || 1) + 1; s.buyInTotal = (s.buyInTotal || 0) + chips;
+  if (kind === 'rebuy') s.rebuys = (s.rebuys || 0) + 1; else s.addOns = (s.addOns || 0) + 1;
+  s.entryFees = (s.entryFees || 0) + cost;
+  room.rebuyFees = (room.rebuyFees || 0) + cost;
+  const what = kind === 'rebuy' ? 'REBUY' : 'ADD-ON';
+  writeLog(room, `${what}: ${s.name} | Seat ${s.seat+1} | +${chips} chips for ${fmtPounds(cost)} | ${buyInTag(s)} | Prize pool: ${fmtPounds(prizePool(room))}`);
+  logEvent(room, `${kind === 'rebuy' ? '\uD83D\uDD01' : '\u2795'} ${s.name} ${kind === 'rebuy' ? 'rebought' : 'took the add-on'} (+${chips} chips) - prize pool ${fmtPounds(prizePool(room))}`);
+}
+
+// Busted during the rebuy period: bots rebuy, humans get the buy-back overlay.
+// done() runs once every offer is settled; anyone still on zero is then eliminated.
+function offerRebuys(room, busted, done) {
+  let pendingCount = busted.length;
+  function onResolved() { if (--pendingCount <= 0) done(); }
+  busted.forEach(s => {
+    if (s.isBot) { topUp(room, s, 'rebuy'); onResolved(); return; }
+    s.pendingBuyBack = true; s.sittingOut = true;
+    writeLog(room, `REBUY OFFER SENT: ${s.name} (Seat ${s.seat+1}) | ${buyInTag(s)}`);
+    logEvent(room, `\ud83d\udcb8 ${s.name} is out of chips - rebuy offer sent`);
+    send(s.ws, { type: 'buyBackOffer', kind: 'rebuy', chips: room.tournamentChips, cost: room.tournamentBuyIn || 0, rebuys: s.rebuys || 0 });
+    if (s._buyBackTimer) clearTimeout(s._buyBackTimer);
+    s._buyBackTimer = setTimeout(() => {
+      if (!s.pendingBuyBack) return;
+      s.pendingBuyBack = false; s._onBuyBackResolved = null;
+      writeLog(room, `REBUY TIMEOUT: ${s.name} (Seat ${s.seat+1}) - declined (timed out)`);
+      onResolved();
+    }, 15000);
+    s._onBuyBackResolved = onResolved;
+  });
+}
+
+// Add-on window opens: bots take it, humans get the offer (and keep the table button)
+function offerAddOns(room) {
+  room.seats.forEach(s => {
+    if (!canTopUp(room, s, 'addon')) return;
+    if (s.isBot) { queueOrTopUp(room, s, 'addon'); return; }
+    send(s.ws, { type: 'buyBackOffer', kind: 'addon', chips: room.tournamentChips, cost: room.tournamentBuyIn || 0 });
+  });
+  logBoth(room, `\u2795 Rebuys closed - add-on available until the next level (${room.tournamentChips} chips for ${fmtPounds(room.tournamentBuyIn || 0)})`);
+}
+
+// ── Late registration. ────────────────────────────────────────────────────────
+// Until the end of level lateRegLevels the host can still approve newcomers. They
+// pay the buy-in, get a starting stack and are dealt in from the next hand; the
+// field, prize pool and everyone already knocked out move down one place.
+function lateRegOpen(room) {
+  const clock = blindClock(room);
+  return room.gameType === 'tournament' && clock.gameActive && room.lateRegLevels > 0
+    && (clock.blindLevel || 0) <= levelEndIndex(room, room.lateRegLevels);
+}
+
+function lateRegInfo(room) {
+  if (room.gameType !== 'tournament' || !(room.lateRegLevels > 0)) return null;
+  const clock = blindClock(room), open = lateRegOpen(room);
+  let closesInMs = null;
+  if (open) {
+    closesInMs = getBlindLevelRemainingMs(clock) || 0;
+    for (let i = (clock.blindLevel || 0) + 1; i <= levelEndIndex(room, room.lateRegLevels); i++) closesInMs += blindEntryMs(clock, i);
+  }
+  return { levels: room.lateRegLevels, open: open || !clock.gameActive, closesInMs };
+}
+
+function lateRegSeat(room) {
+  const table = room.multiTable ? shortestTable(liveTables(room)) : room;
+  return table ? { table, seat: freeSeat(table, 'a late registration') } : { table: room, seat: -1 };
+}
+
+function lateRegister(room, table, s) {
+  s.sittingOut = true; s.rebuys = 0; s.addOns = 0; s.entryFees = room.tournamentBuyIn || 0; s.lateEntry = true;
+  tournamentTables(room).forEach(r => { r.tournamentEntrants = (r.tournamentEntrants || 0) + 1; });
+  (room.tournamentPlacement || []).forEach(p => { p.place++; });
+  settlePrizes(room);
+  writeRoomLog(table, `LATE REGISTRATION: ${s.name} | Seat ${s.seat+1} | ${s.chips} chips | Entrants: ${room.tournamentEntrants} | Prize pool: ${fmtPounds(prizePool(room))}`);
+  tournamentTables(room).forEach(r => logEvent(r, `\u270D\uFE0F ${s.name} registered late${r === table ? '' : ` (table ${tableNumber(table)})`} - ${room.tournamentEntrants} entrants, prize pool ${fmtPounds(prizePool(room))}`));
+  send(s.ws, { type: 'sittingOut', reason: 'Late registration accepted - you will be dealt in from the next hand.' });
+  if (table._awaitingPlayers && playersLeft(table).length >= 2) { table._awaitingPlayers = false; setTimeout(() => startNewHand(table), 2000); }
+}
+
+// Late entries and rebuys grow the pool after some players are out, so prizes
+// already handed out are worked out again from the current field
+function settlePrizes(room) {
+  const placement = room.tournamentPlacement || [];
+  placement.forEach(p => {
+    const tied = placement.filter(q => q.place === p.place);
+    const prize = tiedPrizes(room, p.place, tied.length)[tied.indexOf(p)];
+    if (prize === p.prize) return;
+    p.prize = prize;
+    const s = tournamentTables(room).flatMap(r => r.seats).find(x => x?.id === p.id);
+    if (s) accountRecordFinish(room, s, p.place, room.tournamentEntrants, prize);
+  });
+}
+
 function stopBlindTimer(room) {
   if (room.blindLevelTimer) { clearTimeout(room.blindLevelTimer); room.blindLevelTimer = null; }
 }
 
 function startBlindTimer(room, overrideMs) {
   stopBlindTimer(room);
-  if (room.gameType !== 'tournament') return;
-  const durationMs = overrideMs != null ? overrideMs : (room.blindLevelDuration || 10) * 60 * 1000;
+  if (room.gameType !== 'tournament' || blindClock(room) !== room) return;
+  const durationMs = overrideMs != null ? overrideMs : blindEntryMs(room, room.blindLevel);
   room.blindLevelStartedAt = Date.now();
   room.blindLevelRemaining = durationMs;
   room.blindLevelPausedAt  = null;
-  svrLog(`ROOM ${room.id} blind timer: ${(durationMs/1000).toFixed(0)}s until level ${room.blindLevel + 2}`);
+  svrLog(`ROOM ${room.id} blind timer: ${(durationMs/1000).toFixed(0)}s until entry ${room.blindLevel + 2}`);
   room.blindLevelTimer = setTimeout(() => {
     room.blindLevelTimer = null;
-    if (room.blindLevel < TOURNAMENT_BLINDS.length - 1) {
-      room.blindLevel++;
-      const b = TOURNAMENT_BLINDS[room.blindLevel];
-      logBoth(room, `BLIND LEVEL UP -> Level ${room.blindLevel + 1} | SB/BB ${b.sb}/${b.bb}`);
-      broadcastAll(room, {
-        type: 'blindLevelUp', level: room.blindLevel, sb: b.sb, bb: b.bb,
-        nextLevelMs: (room.blindLevelDuration || 10) * 60 * 1000
-      });
-    }
+    room.blindLevel++;
+    const nextLevelMs = blindEntryMs(room, room.blindLevel);
     startBlindTimer(room);
+    // One clock for every table of a multi-table tournament
+    tournamentTables(room).forEach(t => { t.blindLevel = room.blindLevel; announceBlindLevel(t, nextLevelMs); });
   }, durationMs);
 }
 
+function announceBlindLevel(room, nextLevelMs) {
+  const b = blindEntry(room, room.blindLevel), next = nextBlindLevel(room);
+  if (b.break) {
+    logBoth(room, `\u2615 BREAK - ${b.mins} min | next: SB/BB ${next.sb}/${next.bb}${next.ante ? ` ante ${next.ante}` : ''}`);
+  } else {
+    logBoth(room, `BLIND LEVEL UP -> Level ${blindLevelNumber(room)} | SB/BB ${b.sb}/${b.bb}${b.ante ? ` | Ante ${b.ante}` : ''}`);
+  }
+  broadcastAll(room, {
+    type: 'blindLevelUp', level: blindLevelNumber(room) - 1, onBreak: !!b.break,
+    sb: b.break ? next.sb : b.sb, bb: b.break ? next.bb : b.bb, ante: (b.break ? next.ante : b.ante) || 0,
+    next: { sb: next.sb, bb: next.bb, ante: next.ante || 0 }, nextLevelMs,
+  });
+  if (rebuyPhase(room) === 'addon' && room.blindLevel === levelEndIndex(room, room.rebuyLevels) + 1) offerAddOns(room);
+  else if (room.rebuyLevels > 0 && room.blindLevel === levelEndIndex(room, room.rebuyLevels) + 1) logBoth(room, '\uD83D\uDD01 Rebuy period over');
+  if (!b.break && !(room.timeBankEvery > 0)) topUpTimeBanks(room);
+  if (room.lateRegLevels > 0 && room.blindLevel === levelEndIndex(room, room.lateRegLevels) + 1) logBoth(room, `\u270D\uFE0F Late registration closed - ${room.tournamentEntrants} entrants`);
+  // Break over - deal the hand that was held for it
+  if (!b.break && room._heldForBreak) { room._heldForBreak = false; if (room.gameActive && !room.paused) startNewHand(room); }
+}
+
 function pauseBlindTimer(room) {
   if (room.gameType !== 'tournament' || !room.blindLevelTimer) return;
   const elapsed = Date.now() - (room.blindLevelStartedAt || Date.now());
@@ -504,14 +1629,201 @@ function resumeBlindTimer(room) {
   if (room.gameType !== 'tournament') return;
   const remaining = room.blindLevelRemaining != null
     ? room.blindLevelRemaining
-    : (room.blindLevelDuration || 10) * 60 * 1000;
+    : blindEntryMs(room, room.blindLevel || 0);
   startBlindTimer(room, remaining);
 }
 
+// ─── Multi-table tournaments ──────────────────────────────────────────────────
+// A tournament too big for one table spreads over several rooms. The host's room
+// is table 1: it keeps the blind clock and the registration list, and is never
+// broken, so it ends up as the final table. Extra tables are rooms with generated
+// ids that copy its settings and share its tournamentPlacement array. Whenever a
+// table finishes a hand it breaks itself (if everyone left fits elsewhere) or
+// sends players to the shortest table until the counts are within one.
+const tournaments = new Map();   // tournament id (= table 1 room id) -> { id, tableIds, entrants }
+
+function tournamentOf(room) { return room.mtt ? tournaments.get(room.mtt) || null : null; }
+function tournamentTables(room) {
+  const t = tournamentOf(room);
+  return t ? t.tableIds.map(id => rooms.get(id)).filter(Boolean) : [room];
+}
+function liveTables(room) { return tournamentTables(room).filter(r => !r._broken); }
+function blindClock(room) { return (room.mtt && rooms.get(room.mtt)) || room; }
+function tableNumber(room) { const t = tournamentOf(room); return t ? t.tableIds.indexOf(room.id) + 1 : 1; }
+function playersLeft(room) { return room.seats.filter(s => s && !s.spectator && !s.pendingBuyBack && s.chips > 0); }
+
+function mttTableFor(playerId) {
+  for (const t of tournaments.values()) {
+    for (const id of t.tableIds) { const r = rooms.get(id); if (r && r.seats.some(s => s?.id === playerId)) return r; }
+  }
+  return null;
+}
+
+function mttSummary(room) {
+  const t = tournamentOf(room); if (!t) return null;
+  const tables = tournamentTables(room), live = tables.filter(r => !r._broken);
+  return { id: t.id, table: tableNumber(room), tables: live.length, broken: !!room._broken,
+    entrants: t.entrants || tables.reduce((n, r) => n + r.seats.filter(Boolean).length, 0),
+    remaining: live.reduce((n, r) => n + playersLeft(r).length, 0) };
+}
+
+function ensureTournament(room) {
+  if (!tournaments.has(room.id)) tournaments.set(room.id, { id: room.id, tableIds: [room.id], entrants: 0 });
+  room.mtt = room.id;
+  return tournaments.get(room.id);
+}
+
+function copyTournamentSettings(from, to) {
+  Object.assign(to, {
+    hostId: from.hostId, gameType: from.gameType, variant: from.variant, betting: from.betting,
+    tournamentChips: from.tournamentChips, blindPreset: from.blindPreset,
+    tournamentBuyIn: from.tournamentBuyIn, payoutPreset: from.payoutPreset, payoutTiers: from.payoutTiers,
+    rebuyLevels: from.rebuyLevels, addOn: from.addOn, lateRegLevels: from.lateRegLevels,
+    timeBankSecs: from.timeBankSecs, timeBankAdd: from.timeBankAdd, timeBankEvery: from.timeBankEvery,
+    blindStructure: blindStructure(from).map(e => ({ ...e })), blindLevel: from.blindLevel,
+  });
+}
+
+function addTable(t) {
+  let id; do { id = String(100000 + Math.floor(Math.random() * 900000)); } while (rooms.has(id));
+  const table = getOrCreateRoom(id);
+  table.mtt = t.id; t.tableIds.push(id);
+  copyTournamentSettings(rooms.get(t.id), table);
+  svrLog(`ROOM ${t.id} tournament table ${t.tableIds.length} opened as room ${id}`);
+  return table;
+}
+
+// Where a new registration sits: table 1 while it has room, then the extra tables
+function registrationSeat(room) {
+  const seat = room.seats.indexOf(null);
+  if (seat !== -1 || !room.multiTable || room.gameType !== 'tournament' || room.gameActive) return { table: room, seat };
+  const t = ensureTournament(room);
+  let table = t.tableIds.slice(1).map(id => rooms.get(id)).find(r => r && r.seats.includes(null));
+  if (!table) {
+    if (t.tableIds.length >= MAX_TABLES) return { table: room, seat: -1 };
+    table = addTable(t);
+  }
+  return { table, seat: table.seats.indexOf(null) };
+}
+
+// Lobby changes on table 1 show up at every table
+function syncTournamentLobbies(room) {
+  tournamentTables(room).forEach(r => {
+    if (r !== room) copyTournamentSettings(room, r);
+    broadcastAll(r, lobbySnapshot(r));
+  });
+}
+
+// At the start: draw every registered player to a seat, spread evenly over as few tables as hold them
+function seatTournament(room) {
+  const t = ensureTournament(room);
+  const entrants = tournamentTables(room).flatMap(r => r.seats.filter(Boolean));
+  const count = Math.max(1, Math.ceil(entrants.length / NP));
+  while (t.tableIds.length < count) addTable(t);
+  const tables = tournamentTables(room);
+  tables.forEach(r => { r.seats = Array(NP).fill(null); r._broken = false; });
+  t.tableIds.splice(count).forEach(id => { const r = rooms.get(id); if (r) destroyRoom(r); });
+  for (let i = entrants.length - 1; i > 0; i--) { const j = crypto.randomInt(i + 1); [entrants[i], entrants[j]] = [entrants[j], entrants[i]]; }
+  entrants.forEach((s, i) => {
+    const r = tables[i % count], seat = Math.floor(i / count);
+    r.seats[seat] = s; s.seat = seat;
+    if (s.ws) s.ws._roomId = r.id;
+    send(s.ws, { type: 'tableMoved', roomId: r.id, table: i % count + 1, seat, isHost: s.id === room.hostId });
+  });
+  t.entrants = entrants.length;
+  tables.slice(0, count).forEach(r => { if (r !== room) copyTournamentSettings(room, r); });
+  svrLog(`ROOM ${room.id} tournament seated: ${entrants.length} players at ${count} table(s) [${t.tableIds.join(', ')}]`);
+  return tables.slice(0, count);
+}
+
+// Seat for a player arriving from another table - an eliminated spectator gives theirs up if need be
+function freeSeat(room, why = 'a player moved from another table') {
+  let seat = room.seats.indexOf(null);
+  if (seat !== -1) return seat;
+  seat = room.seats.findIndex(s => s && s.spectator && s.chips <= 0);
+  if (seat === -1) return -1;
+  const gone = room.seats[seat];
+  send(gone.ws, { type: 'logEvent', text: `\uD83E\uDE91 Your seat at table ${tableNumber(room)} went to ${why}` });
+  broadcastAll(room, { type: 'playerLeft', id: gone.id, name: gone.name, seat, reason: 'moved' });
+  room.seats[seat] = null;
+  return seat;
+}
+
+function movePlayer(from, to, s) {
+  const seat = freeSeat(to); if (seat === -1) return false;
+  const oldSeat = s.seat;
+  from.seats[oldSeat] = null;
+  Object.assign(s, { seat, cards: [], bet: 0, totalBet: 0, folded: true, sittingOut: true });
+  to.seats[seat] = s;
+  if (s.ws) s.ws._roomId = to.id;
+  writeRoomLog(from, `TABLE MOVE: ${s.name} (Seat ${oldSeat+1}) -> table ${tableNumber(to)} (room ${to.id}) | Chips: ${s.chips}`);
+  writeRoomLog(to, `TABLE MOVE: ${s.name} arrives from table ${tableNumber(from)} | Seat ${seat+1} | Chips: ${s.chips}`);
+  broadcastAll(from, { type: 'playerMoved', id: s.id, name: s.name, seat: oldSeat, table: tableNumber(to) });
+  logEvent(to, `\u27A1 ${s.name} moved here from table ${tableNumber(from)}`);
+  send(s.ws, { type: 'tableMoved', roomId: to.id, table: tableNumber(to), seat, isHost: s.id === to.hostId });
+  broadcastState(to);
+  // A short table that sat waiting deals again as soon as it has two players
+  if (to._awaitingPlayers && playersLeft(to).length >= 2) { to._awaitingPlayers = false; setTimeout(() => startNewHand(to), 2000); }
+  return true;
+}
+
+// Who posts the big blind next hand - the fair player to move
+function nextBigBlindPlayer(room) {
+  const active = playersLeft(room).map(s => s.seat);
+  const dealer = room.dealerSeat < 0 ? active[0] : nextSeat(room.dealerSeat, active);
+  const sb = active.length === 2 ? dealer : nextSeat(dealer, active);
+  return room.seats[nextSeat(sb, active)];
+}
+
+// Shortest table that can still take a player
+function shortestTable(tables) {
+  return tables.filter(r => r.seats.some(s => !s || (s.spectator && s.chips <= 0)))
+    .sort((a, b) => playersLeft(a).length - playersLeft(b).length)[0];
+}
+
+function breakTable(room, live) {
+  const others = live.filter(r => r !== room);
+  logBoth(room, `\uD83E\uDE91 TABLE ${tableNumber(room)} BROKEN - players move to the other tables`);
+  playersLeft(room).forEach(s => { const dest = shortestTable(others); if (dest) movePlayer(room, dest, s); });
+  room._broken = true; room._awaitingPlayers = false; room.G = null;
+  if (others.length === 1) {
+    const left = playersLeft(others[0]).length;
+    tournamentTables(room).forEach(r => logBoth(r, `\uD83C\uDFC6 FINAL TABLE - ${left} players left, all at table ${tableNumber(others[0])}`));
+  }
+  tournamentTables(room).forEach(broadcastState);
+}
+
+// Called by a table between hands. Returns true if the table was broken up.
+function balanceTables(room) {
+  const t = tournamentOf(room);
+  if (!t || room._broken) return false;
+  const live = liveTables(room);
+  if (live.length < 2) return false;
+  const others = live.filter(r => r !== room);
+  const total = live.reduce((n, r) => n + playersLeft(r).length, 0);
+  if (total <= others.length * NP) {
+    // A table breaks itself; table 1 is kept, but breaks a table sitting idle for want of players
+    const victim = room.id !== t.id ? room : others.find(r => r._awaitingPlayers);
+    if (victim) { breakTable(victim, live); return victim === room; }
+  }
+  let dest = shortestTable(others);
+  while (dest && playersLeft(room).length - playersLeft(dest).length >= 2) {
+    if (!movePlayer(room, dest, nextBigBlindPlayer(room))) break;
+    dest = shortestTable(others);
+  }
+  return false;
+}
+
 function send(ws, msg) {
   if (ws && ws.readyState === 1) ws.send(JSON.stringify(msg));
 }
 function broadcastAll(room, msg) {
+  broadcastSeats(room, msg);
+  broadcastViewers(room, msg);
+}
+
+// Seated players only - what viewers must not see yet
+function broadcastSeats(room, msg) {
   const str = JSON.stringify(msg);
   room.seats.forEach(s => { if (s?.ws?.readyState === 1) s.ws.send(str); });
 }
@@ -520,28 +1832,103 @@ function lobbySnapshot(room) {
   return {
     type: 'lobby', roomId: room.id, hostId: room.hostId, gameActive: room.gameActive,
     buyIn: room.buyIn,
+    stakes: roomStakes(room), pendingStakes: room.pendingStakes || null, buyInRange: buyInLimits(room),
+    fairCommit: fairCommit(room),
     gameType: room.gameType || 'cash',
+    variant: roomVariant(room), betting: roomBetting(room), gameLabel: gameLabel(room),
     tournamentChips: room.tournamentChips || 8000,
-    blindLevelDuration: room.blindLevelDuration || 10,
-    seats: room.seats.map(s => s ? { id: s.id, name: s.name, chips: s.chips, seat: s.seat, isBot: s.isBot || false } : null),
-    pending: room.pendingJoins.map(p => ({ id: p.id, name: p.name }))
+    blindPreset: room.blindPreset || 'standard', blindStructure: blindStructure(room),
+    multiTable: !!room.multiTable, tournament: mttSummary(room),
+    tournamentBuyIn: room.tournamentBuyIn || 0, payoutPreset: room.payoutPreset || 'standard', payoutTiers: payoutTable(room),
+    rebuyLevels: room.rebuyLevels || 0, addOn: !!room.addOn, lateRegLevels: room.lateRegLevels || 0, lateReg: lateRegInfo(room),
+    timeBankSecs: room.timeBankSecs || 0, timeBankAdd: room.timeBankAdd || 0, timeBankEvery: room.timeBankEvery || 0,
+    prizePreview: prizeTable(room, tournamentTables(room).reduce((n, r) => n + r.seats.filter(Boolean).length, 0)),
+    seats: room.seats.map(s => s ? { id: s.id, name: s.name, chips: s.chips, seat: s.seat, isBot: s.isBot || false, strategy: s.isBot ? botStrategy(s).name : undefined, external: s.external || undefined } : null),
+    botStrategies: botStrategyList(),
+    viewers: viewerCount(room), watchApproval: !!room.watchApproval, watchRevealDelay: room.watchRevealDelay ?? null,
+    pending: room.pendingJoins.map(p => ({ id: p.id, name: p.name, watch: p.watch || undefined }))
   };
 }
 
 function currentBlinds(room) {
   if (room.gameType === 'tournament') {
-    return TOURNAMENT_BLINDS[Math.min(room.blindLevel || 0, TOURNAMENT_BLINDS.length - 1)];
+    // On a break the table is idle; show what play resumes at
+    const e = blindEntry(room, room.blindLevel || 0), b = e.break ? nextBlindLevel(room) : e;
+    return { sb: b.sb, bb: b.bb, ante: b.ante || 0 };
   }
-  return { sb: SB, bb: BB };
+  const st = roomStakes(room);
+  return { sb: st.sb, bb: st.bb, ante: st.ante };
+}
+
+// ─── Cash stakes ──────────────────────────────────────────────────────────────
+// Blinds, ante and the straddle rule are per room. A change made while the game
+// is running waits in room.pendingStakes and takes effect when the next hand is dealt.
+// Straddle: false, 'mandatory' (UTG always posts 2 x BB - the old house rule, and what a
+// saved `true` means), or 'utg' / 'button' where the player in that seat opts in.
+const STRADDLE_MODES = ['utg', 'button', 'mandatory'];
+const STRADDLE_LABELS = { utg: 'optional UTG straddle', button: 'optional button straddle', mandatory: 'UTG straddle' };
+function roomStakes(room) { return room.stakes || { sb: SB, bb: BB, ante: 0, straddle: false }; }
+
+function sanitizeStakes(st) {
+  if (!st || typeof st !== 'object') return null;
+  const sb = Math.round(Number(st.sb)), bb = Math.round(Number(st.bb)), ante = Math.round(Number(st.ante) || 0);
+  if (!(sb >= 1) || !(bb >= sb) || bb > 100000 || !(ante >= 0) || ante > bb) return null;
+  return { sb, bb, ante, straddle: st.straddle === true ? 'mandatory' : STRADDLE_MODES.includes(st.straddle) ? st.straddle : false };
+}
+
+function fmtStakes(st) {
+  return `${fmtPounds(st.sb)}/${fmtPounds(st.bb)}${st.ante ? ` ante ${fmtPounds(st.ante)}` : ''}${st.straddle ? ` + ${STRADDLE_LABELS[st.straddle]}` : ''}`;
+}
+
+function buyInLimits(room, st) {
+  const bb = (st || roomStakes(room)).bb;
+  return { min: bb * BUYIN_MIN_BB, max: bb * BUYIN_MAX_BB };
+}
+
+function clampBuyIn(room, chips) {
+  const { min, max } = buyInLimits(room);
+  return Math.max(min, Math.min(max, Math.round(chips) || room.buyIn));
+}
+
+function applyStakes(room, st) {
+  const prev = roomStakes(room);
+  room.stakes = st; room.pendingStakes = null;
+  const clamped = clampBuyIn(room, room.buyIn);
+  const lim = buyInLimits(room);
+  logBoth(room, `\uD83D\uDCB5 STAKES CHANGED: ${fmtStakes(prev)} -> ${fmtStakes(st)} | Buy-in ${fmtPounds(lim.min)}-${fmtPounds(lim.max)}`);
+  if (clamped !== room.buyIn) { room.buyIn = clamped; logBoth(room, `\uD83D\uDCB0 Default buy-in moved to ${fmtPounds(clamped)} to fit the new stakes`); }
+}
+
+function roomVariant(room) { return VARIANTS[room.variant] ? room.variant : 'holdem'; }
+function roomBetting(room) { return BETTING[room.betting] ? room.betting : VARIANTS[roomVariant(room)].betting; }
+function gameLabel(room) { return `${BETTING[roomBetting(room)].label} ${VARIANTS[roomVariant(room)].name}`; }
+function limitBetSize(G) { return G.phase === 'turn' || G.phase === 'river' ? G.curBB * 2 : G.curBB; }
+
+// Legal raise range as chips from stack, or null when raising is capped.
+// No-limit: min-raise to all-in. Pot-limit: up to the call plus a raise the
+// size of the pot after calling. Fixed-limit: exactly one small/big bet.
+function raiseLimits(room, p) {
+  const G = room.G;
+  const callAmt = Math.max(0, G.currentBet - p.bet);
+  const betting = roomBetting(room);
+  if (betting === 'fl') {
+    if (G.raiseCount >= FL_RAISE_CAP) return null;
+    const fixed = Math.min(p.chips, callAmt + limitBetSize(G));
+    return { min: fixed, max: fixed };
+  }
+  const raiseIncrement = G.firstRaiseAction ? G.curBB : G.lastRaiseIncrement;
+  const max = betting === 'pl' ? Math.min(p.chips, G.pot + 2 * callAmt) : p.chips;
+  return { min: Math.min(callAmt + raiseIncrement, max), max };
 }
 
 function getBlindLevelRemainingMs(room) {
   if (room.gameType !== 'tournament') return null;
+  room = blindClock(room);
   if (room.blindLevelPausedAt) return room.blindLevelRemaining || 0;
   if (room.blindLevelStartedAt && room.blindLevelRemaining != null) {
     return Math.max(0, room.blindLevelRemaining - (Date.now() - room.blindLevelStartedAt));
   }
-  return (room.blindLevelDuration || 10) * 60 * 1000;
+  return blindEntryMs(room, room.blindLevel || 0);
 }
 
 function tableSnapshot(room, forId) {
@@ -549,12 +1936,23 @@ function tableSnapshot(room, forId) {
   const blinds = currentBlinds(room);
   const tournamentInfo = {
     gameType: room.gameType || 'cash',
-    blindLevel: room.blindLevel || 0,
+    variant: roomVariant(room), betting: roomBetting(room),
+    blindLevel: room.gameType === 'tournament' ? blindLevelNumber(room) - 1 : 0,
     currentSB: blinds.sb,
     currentBB: blinds.bb,
-    blindLevelDuration: room.blindLevelDuration || 10,
+    stakes: room.gameType === 'tournament' ? null : roomStakes(room), pendingStakes: room.pendingStakes || null,
+    buyInRange: room.gameType === 'tournament' ? null : buyInLimits(room),
+    currentAnte: blinds.ante,
+    nextBlinds: room.gameType === 'tournament' ? nextBlindLevel(room) : null,
+    onBreak: onBlindBreak(room),
     blindLevelRemainingMs: getBlindLevelRemainingMs(room),
     tournamentPlacement: room.tournamentPlacement || [],
+    tournament: mttSummary(room),
+    prizePool: room.gameType === 'tournament' ? prizePool(room) : null,
+    rebuy: room.gameType === 'tournament' && room.rebuyLevels > 0
+      ? { phase: rebuyPhase(room), levels: room.rebuyLevels, addOn: !!room.addOn, chips: room.tournamentChips, cost: room.tournamentBuyIn || 0 } : null,
+    lateReg: lateRegInfo(room),
+    viewers: viewerCount(room),
   };
   if (!G) return {
     type: 'state', phase: 'idle', ...tournamentInfo,
@@ -566,7 +1964,10 @@ function tableSnapshot(room, forId) {
                voluntaryAutoFold: s.voluntaryAutoFold || false,
                spectator: s.spectator || false,
                pendingBuyBack: s.pendingBuyBack || false,
-               isBot: s.isBot || false,
+               rebuys: s.rebuys || 0, addOns: s.addOns || 0, pendingTopUp: s.pendingTopUp || null,
+               sitOut: s.sitOut || false, owes: missedBlindsOwed(room, s), straddleOn: s.straddleOn || false,
+               timeBank: timeBankOn(room) ? s.timeBank ?? room.timeBankSecs * 1000 : null,
+               isBot: s.isBot || false, hud: hudFor(room, s),
                cards: [], active: !s.sittingOut };
     })
   };
@@ -587,7 +1988,10 @@ function tableSnapshot(room, forId) {
         voluntaryAutoFold: s.voluntaryAutoFold || false,
         spectator: s.spectator || false,
         pendingBuyBack: s.pendingBuyBack || false,
-        isBot: s.isBot || false,
+        rebuys: s.rebuys || 0, addOns: s.addOns || 0, pendingTopUp: s.pendingTopUp || null,
+        sitOut: s.sitOut || false, owes: missedBlindsOwed(room, s), straddleOn: s.straddleOn || false,
+        timeBank: timeBankOn(room) ? s.timeBank ?? room.timeBankSecs * 1000 : null,
+        isBot: s.isBot || false, hud: hudFor(room, s),
         cards: showCards ? s.cards : s.cards.map(() => 'back'),
         active: !s.sittingOut
       };
@@ -595,11 +1999,10 @@ function tableSnapshot(room, forId) {
   };
 }
 
-function startActionTimer(room, seat, remainingMs) {
+// onBank: the base time has run out and the clock is now spending the player's time bank
+function startActionTimer(room, seat, remainingMs, onBank = false) {
   clearActionTimer(room);
-
-
-
+  room.actionTimerBank = onBank;
   if (room.paused) {
     room.actionTimerSeat = seat;
     room.actionTimerRemaining = remainingMs != null ? remainingMs : ACTION_TIMEOUT;
@@ -609,10 +2012,16 @@ function startActionTimer(room, seat, remainingMs) {
   room.actionTimerSeat = seat;
   room.actionTimerRemaining = duration;
   room.actionTimerStarted = Date.now();
-  writeLog(room, `ACTION TIMER: seat ${seat+1} has ${(duration/1000).toFixed(1)}s`);
+  writeLog(room, `ACTION TIMER: seat ${seat+1} has ${(duration/1000).toFixed(1)}s${onBank ? ' (time bank)' : ''}`);
+  if (onBank) broadcastAll(room, { type: 'timeBank', seat, ms: duration });
   room.actionTimer = setTimeout(() => {
     const p = room.seats[seat];
     if (!p || p.folded || !room.G || room.G.toAct[0] !== seat) return;
+    if (!onBank && !p.isBot && timeBankOn(room) && p.timeBank > 0) {
+      writeLog(room, `TIME BANK: seat ${seat+1} (${p.name}) using time bank (${(p.timeBank/1000).toFixed(1)}s left)`);
+      startActionTimer(room, seat, p.timeBank, true);
+      return;
+    }
     writeLog(room, `ACTION TIMER EXPIRED: seat ${seat+1} (${p.name}) auto-folding`);
     doFold(room, seat, 'timeout');
   }, duration);
@@ -622,11 +2031,27 @@ function clearActionTimer(room) {
   if (room.actionTimer) { clearTimeout(room.actionTimer); room.actionTimer = null; }
   if (room.actionTimerStarted) {
     const elapsed = Date.now() - room.actionTimerStarted;
+    // Time spent on the bank is gone for good, even if the hand is paused mid-think
+    const p = room.actionTimerBank && room.seats[room.actionTimerSeat];
+    if (p) p.timeBank = Math.max(0, (p.timeBank || 0) - elapsed);
     room.actionTimerRemaining = Math.max(2000, (room.actionTimerRemaining || ACTION_TIMEOUT) - elapsed);
     room.actionTimerStarted = 0;
   }
 }
 
+// ─── Time bank ────────────────────────────────────────────────────────────────
+// Each player carries extra thinking time that starts when the base ACTION_TIMEOUT
+// runs out. It is topped up every timeBankEvery hands, or at each new blind level
+// when that is 0 (tournaments only - a cash table has no levels to count).
+function timeBankOn(room) { return room.timeBankSecs > 0; }
+
+function topUpTimeBanks(room) {
+  if (!timeBankOn(room) || !(room.timeBankAdd > 0)) return;
+  const cap = Math.max(room.timeBankSecs, MAX_TIME_BANK_SECS) * 1000;
+  room.seats.forEach(s => { if (s && !s.isBot) s.timeBank = Math.min(cap, (s.timeBank ?? room.timeBankSecs * 1000) + room.timeBankAdd * 1000); });
+  logEvent(room, `\u23F1 Time banks topped up +${room.timeBankAdd}s`);
+}
+
 function pauseGame(room, byName) {
   if (room.paused) return;
   room.paused = true;
@@ -647,7 +2072,137 @@ function resumeGame(room, byName) {
   svrLog(`ROOM ${room.id} RESUMED by ${byName}`);
   resumeBlindTimer(room);
   if (room.G && room.actionTimerSeat >= 0 && room.G.toAct[0] === room.actionTimerSeat) {
-    startActionTimer(room, room.actionTimerSeat, room.actionTimerRemaining || ACTION_TIMEOUT);
+    startActionTimer(room, room.actionTimerSeat, room.actionTimerRemaining || ACTION_TIMEOUT, room.actionTimerBank);
+  }
+  // Restored after a restart - no hand to pick up, so deal a fresh one
+  // (likewise a hand held for a break that ended while paused)
+  if (room.gameActive && (!room.G || (room._heldForBreak && !onBlindBreak(room)))) startNewHand(room);
+}
+
+// Host ended the game: settle up, then everyone starts the next session square
+function endSession(room) {
+  room.endRequested = false;
+  room.gameActive = false;
+  clearActionTimer(room); stopBlindTimer(room);
+  if (room.paused) { room.paused = false; room._pausedAt = null; }
+  const settlement = sessionSettlement(room);
+  room.lastSettlement = settlement;
+  const lines = settlementLines(settlement);
+  if (room.G && room.G.logPath) {
+    writeLog(room, '');
+    writeLog(room, '═'.repeat(70));
+    writeLog(room, `GAME ENDED BY HOST after hand #${room.handNum} - SETTLEMENT`);
+    settlement.players.forEach(p => writeLog(room, `  ${p.name.padEnd(18)} | in ${fmtPounds(p.buyInTotal).padStart(8)} | out ${fmtPounds(p.chips).padStart(8)} | net ${((p.net >= 0 ? '+' : '-') + fmtPounds(Math.abs(p.net))).padStart(9)}${p.isBot ? ' [BOT]' : ''}`));
+    lines.forEach(l => writeLog(room, `  ${l}`));
+    writeLog(room, '═'.repeat(70));
+    const logPath = room.G.logPath;
+    setTimeout(() => ftpUpload(logPath), 500);
+  }
+  svrLog(`ROOM ${room.id} GAME ENDED | ${lines.join(' | ')}`);
+  // Settled players close their account sessions; the next game is a fresh ledger
+  room.seats.forEach(s => {
+    if (!s) return;
+    if (!s.isBot && !s.spectator) accountRecordExit(room, s, 'settled');
+    s.buyInTotal = s.chips; s.buyInCount = 1;
+  });
+  room.gameHistory = [];
+  broadcastAll(room, { type: 'settlement', ...settlement });
+  broadcastAll(room, lobbySnapshot(room));
+  broadcastState(room);
+  saveRooms();
+}
+
+// ─── External bots ────────────────────────────────────────────────────────────
+// A program plays a seat over the same WebSocket protocol as the browser client.
+// The host issues a single-use token ('issueBotToken' -> 'botToken'); the bot sends
+// { type: 'join', room, name, botToken, buyIn? } and is seated without an approval
+// prompt, getting the usual 'joined' (with its id + secret for reconnects), 'state'
+// and 'yourTurn' messages. On its turn it is also sent 'legalActions' and answers
+// with { type: 'action', action, amount } under the normal action timer and time
+// bank. Raise amounts are the chips put in now, as for every player.
+// tools/external-bot.js is a minimal example.
+const BOT_TOKEN_TTL_MS = 30 * 60 * 1000;
+const MAX_BOT_TOKENS = NP;
+
+function issueBotToken(room) {
+  const now = Date.now();
+  room.botTokens = Object.fromEntries(Object.entries(room.botTokens || {}).filter(([, exp]) => exp > now));
+  if (Object.keys(room.botTokens).length >= MAX_BOT_TOKENS) return null;
+  const token = crypto.randomBytes(16).toString('hex');
+  room.botTokens[token] = now + BOT_TOKEN_TTL_MS;
+  return { token, expiresAt: room.botTokens[token] };
+}
+
+function takeBotToken(room, token) {
+  const exp = room.botTokens && room.botTokens[token];
+  if (!exp) return false;
+  delete room.botTokens[token];
+  return exp > Date.now();
+}
+
+// Sent to an external bot alongside yourTurn
+function legalActions(room, p) {
+  const G = room.G, limits = raiseLimits(room, p), toCall = Math.min(G.currentBet - p.bet, p.chips);
+  return {
+    type: 'legalActions', hand: room.handNum, seat: p.seat, phase: G.phase,
+    actions: ['fold', toCall > 0 ? 'call' : 'check', ...(limits ? ['raise'] : [])],
+    toCall, minRaise: limits ? limits.min : null, maxRaise: limits ? limits.max : null,
+    pot: G.pot, currentBet: G.currentBet, bet: p.bet, stack: p.chips, betting: roomBetting(room),
+    holeCards: p.cards, community: G.community,
+    timeoutMs: ACTION_TIMEOUT, timeBankMs: timeBankOn(room) ? p.timeBank ?? room.timeBankSecs * 1000 : 0,
+  };
+}
+
+// ─── Viewers ──────────────────────────────────────────────────────────────────
+// Seatless watchers ({ type: 'join', room, name, watch: true }). They get every table
+// broadcast and the public tableSnapshot (hole cards hidden until a showdown), never
+// take a seat, and chat among themselves - viewer chat never reaches the players.
+// The host can make watching need approval (room.watchApproval, through pendingJoins)
+// and can show viewers each hand's hole cards once room.watchRevealDelay more hands
+// have been played (0 = as soon as the hand ends, null = never). The hand's seed comes
+// with that reveal, not before. Over HTTP a viewer is just anyone (handRequester): hand
+// logs, histories, the PokerStars export and /verify show them only hands shown down.
+// Left open: the players dealt in get the seed at the end of each hand, so one of them
+// could pass a viewer the cards; the log files on disk and their FTP copies are complete.
+const MAX_VIEWERS = 50, MAX_WATCH_DELAY = 20;
+
+function viewerCount(room) { return (room.viewers || []).length; }
+
+function broadcastViewers(room, msg) {
+  if (!viewerCount(room)) return;
+  const str = JSON.stringify(msg);
+  room.viewers.forEach(v => { if (v.ws?.readyState === 1) v.ws.send(str); });
+}
+
+function addViewer(room, v) {
+  if (viewerCount(room) >= MAX_VIEWERS) { send(v.ws, { type: 'rejected', reason: 'This table has all the viewers it can take' }); return false; }
+  (room.viewers || (room.viewers = [])).push({ ws: v.ws, id: v.id, name: v.name, ip: v.ip });
+  send(v.ws, { type: 'watching', id: v.id, roomId: room.id, revealDelay: room.watchRevealDelay ?? null });
+  if (room.G || room.gameActive) send(v.ws, tableSnapshot(room, null));
+  writeRoomLog(room, `VIEWER JOINED: ${v.name} | IP: ${v.ip || 'unknown'} | ${viewerCount(room)} watching`);
+  broadcastAll(room, lobbySnapshot(room));
+  return true;
+}
+
+function removeViewer(room, ws) {
+  const i = (room.viewers || []).findIndex(v => v.ws === ws);
+  if (i === -1) return;
+  const v = room.viewers.splice(i, 1)[0];
+  writeRoomLog(room, `VIEWER LEFT: ${v.name} | ${viewerCount(room)} watching`);
+  broadcastAll(room, lobbySnapshot(room));
+}
+
+// Hand over: hold its hole cards back from viewers until the delay has passed
+function queueViewerReveal(room, fairMsg) {
+  const G = room.G, delay = room.watchRevealDelay;
+  if (delay == null || !G || !G.history) return;
+  const q = room.viewerReveals || (room.viewerReveals = []);
+  q.push({ hand: room.handNum, community: [...G.community], fairMsg,
+           players: G.history.players.filter(pl => pl.cards.length).map(pl => ({ seat: pl.seat, name: pl.name, cards: pl.cards })) });
+  while (q.length && room.handNum - q[0].hand >= delay) {
+    const { fairMsg: fair, ...reveal } = q.shift();
+    broadcastViewers(room, { type: 'viewerReveal', ...reveal });
+    if (fair) broadcastViewers(room, fair);
   }
 }
 
@@ -663,15 +2218,38 @@ wss.on('connection', (ws, req) => {
   ws.on('message', raw => {
     let msg;
     try { msg = JSON.parse(raw); } catch { return; }
+    if (ws._roomId) myRoomId = ws._roomId;   // moved to another tournament table
 
     switch (msg.type) {
 
       case 'join': {
         const rawRoom = String(msg.room || '1').replace(/\D/g, '') || '1';
         myRoomId = rawRoom.slice(0, 6);
+        // Tournament players may have been moved to another table while they were away
+        const movedTo = msg.id && msg.secret ? mttTableFor(msg.id) : null;
+        if (movedTo) { myRoomId = movedTo.id; ws._roomId = movedTo.id; }
         const name = (msg.name || 'Player').slice(0, 18).trim() || 'Player';
         const room = getOrCreateRoom(myRoomId);
 
+        // ── WATCH: a seatless viewer, let straight in unless the host approves viewers
+        if (msg.watch) {
+          if (!room.seats.some(Boolean)) {
+            send(ws, { type: 'rejected', reason: `There is no game in room ${myRoomId} to watch` });
+            scheduleRoomCleanup(room);
+            return;
+          }
+          myId = generatePlayerId();
+          svrLog(`WATCH - room ${myRoomId} | id=${myId} | name="${name}" | IP=${clientIp}`);
+          const viewer = { ws, id: myId, name, ip: clientIp, watch: true };
+          if (!room.watchApproval) { addViewer(room, viewer); return; }
+          room.pendingJoins.push(viewer);
+          send(ws, { type: 'waiting', id: myId, reason: 'Waiting for the host to let you watch\u2026' });
+          svrLog(`WATCH REQUEST (pending): ${name} | IP: ${clientIp} | room: ${myRoomId}`);
+          const host = room.seats.find(s => s?.id === room.hostId);
+          if (host?.ws?.readyState === 1) send(host.ws, { type: 'joinRequest', id: myId, name, watch: true });
+          return;
+        }
+
         // ── RECONNECT: client supplies their existing id + secret ──────────
         if (msg.id && msg.secret) {
           myId = msg.id;
@@ -720,9 +2298,12 @@ wss.on('connection', (ws, req) => {
               existing._disconnectedAt = null; existing._missedHands = 0;
               existing.ip = clientIp;
               room.botOnlyHandCount = 0;  // human reconnected - reset bot-only counter
-              send(ws, { type: 'joined', id: myId, seat: existing.seat, isHost: myId === room.hostId });
+              room._restored = false;
+              send(ws, { type: 'joined', id: myId, seat: existing.seat, isHost: myId === room.hostId, account: existing.account ? accounts[existing.account].name : null });
               send(ws, lobbySnapshot(room));
-              if (room.G) send(ws, tableSnapshot(room, myId));
+              if (room.G || room.gameActive) send(ws, tableSnapshot(room, myId));
+              if (room.paused) send(ws, { type: 'gamePaused', byName: room.G ? null : 'server restart' });
+              if (!existing.sitOut && missedBlindsOwed(room, existing)) returnFromSitOut(room, existing);
               const goneFor = (wasDisconnectedMs/1000).toFixed(1);
               writeRoomLog(room, `RECONNECT: ${name} | Seat ${existing.seat+1} | IP: ${clientIp} | Was disconnected for ${goneFor}s`);
               logEvent(room, `\uD83D\uDD04 ${existing.name} reconnected`);
@@ -735,30 +2316,61 @@ wss.on('connection', (ws, req) => {
         }
 
         // ── FRESH JOIN: server generates id + secret ───────────────────────
+        if (room.mtt && room.mtt !== room.id) {
+          send(ws, { type: 'rejected', reason: `This is a tournament table - join room ${room.mtt} instead` });
+          return;
+        }
+        if (msg.botToken) {
+          const token = String(msg.botToken), expiresAt = room.botTokens && room.botTokens[token];
+          if (!room.seats.some(Boolean) || !takeBotToken(room, token)) {
+            svrLog(`BOT TOKEN REJECTED: "${name}" | room ${myRoomId} | IP: ${clientIp}`);
+            send(ws, { type: 'rejected', reason: 'Invalid or expired bot token' });
+            return;
+          }
+          myId = generatePlayerId();
+          svrLog(`EXTERNAL BOT JOIN - room ${myRoomId} | id=${myId} | name="${name}" | IP=${clientIp}`);
+          const bot = { ws, id: myId, name, secret: generateSecret(), buyIn: msg.buyIn > 0 ? Math.round(msg.buyIn) : null, ip: clientIp, external: true };
+          if (seatNewPlayer(room, bot)) syncTournamentLobbies(room);
+          else room.botTokens[token] = expiresAt;   // no free seat - the token still works once one opens up
+          return;
+        }
+        // Optional account login - a wrong password stops the join
+        let account = null;
+        if (msg.password) {
+          account = loginAccount(name, String(msg.password).slice(0, 64));
+          if (!account) {
+            svrLog(`ACCOUNT LOGIN FAILED: "${name}" | IP: ${clientIp}`);
+            send(ws, { type: 'rejected', reason: `Wrong password for ${name}` });
+            return;
+          }
+        }
         myId = generatePlayerId();
         const secret = generateSecret();
         svrLog(`JOIN - room ${myRoomId} | id=${myId} | name="${name}" | IP=${clientIp}`);
 
         const hasSeatedPlayers = room.seats.some(s => s !== null);
         if (!hasSeatedPlayers && room.pendingJoins.length === 0) {
-          const hostBuyIn = (msg.buyIn && msg.buyIn > 0) ? Math.round(msg.buyIn) : START_CHIPS;
+          const hostBuyIn = clampBuyIn(room, (msg.buyIn && msg.buyIn > 0) ? msg.buyIn : START_CHIPS);
           room.seats[0] = mkPlayer(ws, myId, name, 0, room, hostBuyIn, clientIp, secret);
+          if (account) room.seats[0].account = account;
           room.hostId = myId;
           svrLog(`NEW ROOM - ${name} created room ${myRoomId} as host | IP: ${clientIp}`);
           writeRoomLog(room, `ROOM CREATED by ${name} | ID: ${myId} | IP: ${clientIp} | Buy-in: ${fmtPounds(hostBuyIn)}`);
           // Send id AND secret so client can store both for reconnection
-          send(ws, { type: 'joined', id: myId, secret, seat: 0, isHost: true });
+          send(ws, { type: 'joined', id: myId, secret, seat: 0, isHost: true, account: account ? accounts[account].name : null });
           broadcastAll(room, lobbySnapshot(room));
           return;
         }
 
         const pendingBuyIn = (msg.buyIn && msg.buyIn > 0) ? Math.round(msg.buyIn) : null;
-        room.pendingJoins.push({ ws, id: myId, name, secret, buyIn: pendingBuyIn, ip: clientIp });
+        room.pendingJoins.push({ ws, id: myId, name, secret, buyIn: pendingBuyIn, ip: clientIp, account });
         // Send id + secret immediately so client can store them while waiting
-        send(ws, { type: 'waiting', id: myId, secret });
+        send(ws, { type: 'waiting', id: myId, secret, reason: !room.gameActive || room.gameType !== 'tournament' ? null
+          : lateRegOpen(room) ? `Tournament in progress - late registration is open until the end of level ${room.lateRegLevels}.`
+          : 'Tournament in progress - registration has closed, you can watch once the host lets you in.' });
         svrLog(`JOIN REQUEST (pending): ${name} | IP: ${clientIp} | room: ${myRoomId}`);
         const host = room.seats.find(s => s?.id === room.hostId);
-        if (host?.ws?.readyState === 1) send(host.ws, { type: 'joinRequest', id: myId, name });
+        if (host?.ws?.readyState === 1) send(host.ws, { type: 'joinRequest', id: myId, name, late: room.gameActive && lateRegOpen(room) });
         break;
       }
 
@@ -768,106 +2380,168 @@ wss.on('connection', (ws, req) => {
         const idx = room.pendingJoins.findIndex(p => p.id === msg.id);
         if (idx === -1) return;
         const p = room.pendingJoins.splice(idx, 1)[0];
-        if (msg.accept) {
+        if (msg.accept && p.watch) {
+          addViewer(room, p);
+        } else if (msg.accept) {
           const existSeat = room.seats.find(s => s?.id === p.id);
           if (existSeat) {
             if (existSeat._disconnectTimer) { clearTimeout(existSeat._disconnectTimer); existSeat._disconnectTimer = null; }
             existSeat.ws = p.ws; existSeat.disconnected = false; existSeat.autoFold = false;
             existSeat._missedHands = 0; existSeat._disconnectedAt = null; existSeat.ip = p.ip || existSeat.ip;
-            send(p.ws, { type: 'joined', id: p.id, seat: existSeat.seat, isHost: p.id === room.hostId });
+            send(p.ws, { type: 'joined', id: p.id, seat: existSeat.seat, isHost: p.id === room.hostId, account: existSeat.account ? accounts[existSeat.account].name : null });
             send(p.ws, lobbySnapshot(room));
-            if (room.G) send(p.ws, tableSnapshot(room, p.id));
+            if (room.G || room.gameActive) send(p.ws, tableSnapshot(room, p.id));
+            if (room.paused) send(p.ws, { type: 'gamePaused', byName: room.G ? null : 'server restart' });
+            if (!existSeat.sitOut && missedBlindsOwed(room, existSeat)) returnFromSitOut(room, existSeat);
             writeRoomLog(room, `RE-ADMITTED: ${existSeat.name} | Seat ${existSeat.seat+1} | IP: ${existSeat.ip || 'unknown'}`);
             logEvent(room, `\u2705 ${existSeat.name} re-admitted to the table`);
-          } else {
-            const seat = room.seats.findIndex(s => s === null);
-            if (seat === -1) { send(p.ws, { type: 'rejected', reason: 'Table is full' }); broadcastAll(room, lobbySnapshot(room)); return; }
-            const startChips = room.gameType === 'tournament' ? room.tournamentChips : (p.buyIn || room.buyIn);
-            room.seats[seat] = mkPlayer(p.ws, p.id, p.name, seat, room, startChips, p.ip, p.secret);
-            send(p.ws, { type: 'joined', id: p.id, seat, isHost: false });
-            writeRoomLog(room, `PLAYER JOINED: ${p.name} | Seat ${seat+1} | IP: ${p.ip || 'unknown'} | Chips: ${fmtPounds(startChips)}`);
-            logEvent(room, `\u2705 ${p.name} joined the table (Seat ${seat+1})`);
-            if (room.gameActive) {
-              if (room.gameType === 'tournament') {
-                room.seats[seat].spectator = true; room.seats[seat].sittingOut = true;
-                send(p.ws, { type: 'sittingOut', reason: 'Tournament in progress - you are spectating.' });
-              } else {
-                room.seats[seat].sittingOut = true;
-                send(p.ws, { type: 'sittingOut', reason: 'Hand in progress - you will join next hand.' });
-              }
-              send(p.ws, tableSnapshot(room, p.id));
-            }
-          }
+          } else if (!seatNewPlayer(room, p)) { broadcastAll(room, lobbySnapshot(room)); return; }
         } else {
           svrLog(`JOIN REJECTED: ${p.name} | IP: ${p.ip || 'unknown'} | room: ${room.id}`);
           send(p.ws, { type: 'rejected', reason: 'Host declined your request' });
         }
-        broadcastAll(room, lobbySnapshot(room));
+        syncTournamentLobbies(room);
         break;
       }
 
       case 'addBot': {
         const room = rooms.get(myRoomId);
         if (!room || room.hostId !== myId || room.gameActive) return;
-        const seat = room.seats.findIndex(s => s === null);
+        const { table, seat } = registrationSeat(room);
         if (seat === -1) { send(ws, { type: 'error', msg: 'Table is full' }); return; }
         const botId = generatePlayerId();
-        const usedNames = room.seats.filter(Boolean).map(s => s.name);
+        const usedNames = tournamentTables(room).flatMap(r => r.seats.filter(Boolean).map(s => s.name));
         const avail = BOT_NAMES.filter(n => !usedNames.includes(n));
-        const botName = avail.length ? avail[Math.floor(Math.random() * avail.length)] : 'Bot' + (seat + 1);
+        const botName = avail.length ? avail[Math.floor(Math.random() * avail.length)] : 'Bot' + (usedNames.length + 1);
         const startChips = room.gameType === 'tournament' ? room.tournamentChips : room.buyIn;
-        room.seats[seat] = mkBot(botId, botName, seat, room, startChips);
-        writeRoomLog(room, `BOT ADDED: ${botName} | Seat ${seat + 1}`);
-        logEvent(room, `🤖 ${botName} (bot) joined the table`);
-        broadcastAll(room, lobbySnapshot(room));
+        const strat = BOT_STRATEGIES.get(msg.strategy) || botStrategy({});
+        table.seats[seat] = mkBot(botId, botName, seat, table, startChips, strat.name);
+        writeRoomLog(table, `BOT ADDED: ${botName} | Seat ${seat + 1} | ${strat.label}`);
+        logEvent(room, `🤖 ${botName} (${strat.label} bot) joined the ${table === room ? 'table' : `tournament (table ${tableNumber(table)})`}`);
+        syncTournamentLobbies(room);
+        break;
+      }
+
+      case 'issueBotToken': {
+        const room = rooms.get(myRoomId);
+        if (!room || room.hostId !== myId) return;
+        const t = issueBotToken(room);
+        if (!t) { send(ws, { type: 'error', msg: `At most ${MAX_BOT_TOKENS} unused bot tokens at a time` }); return; }
+        writeRoomLog(room, `BOT TOKEN ISSUED: ${t.token.slice(0, 6)}... | expires ${new Date(t.expiresAt).toISOString().slice(11, 19)}`);
+        send(ws, { type: 'botToken', room: room.id, token: t.token, expiresAt: t.expiresAt });
+        break;
+      }
+
+      case 'setBotStrategy': {
+        const room = rooms.get(myRoomId);
+        if (!room || room.hostId !== myId || room.gameActive) return;
+        const bot = room.seats[msg.seat], strat = BOT_STRATEGIES.get(msg.strategy);
+        if (!bot?.isBot || !strat || bot.strategy === strat.name) return;
+        bot.strategy = strat.name; bot.botMemory = {};
+        writeRoomLog(room, `BOT STRATEGY: ${bot.name} | Seat ${bot.seat + 1} | ${strat.label}`);
+        syncTournamentLobbies(room);
         break;
       }
 
       case 'removeBot': {
         const room = rooms.get(myRoomId);
         if (!room || room.hostId !== myId || room.gameActive) return;
-        const botSeats = room.seats.map((s, i) => (s?.isBot ? i : null)).filter(i => i !== null);
+        // Registration tables empty back to front
+        const table = [...tournamentTables(room)].reverse().find(r => r.seats.some(s => s?.isBot)) || room;
+        const botSeats = table.seats.map((s, i) => (s?.isBot ? i : null)).filter(i => i !== null);
         if (!botSeats.length) return;
-        const removeSeat = msg.seat != null && room.seats[msg.seat]?.isBot
+        const removeSeat = msg.seat != null && table === room && room.seats[msg.seat]?.isBot
           ? msg.seat
           : botSeats[botSeats.length - 1];
-        const bot = room.seats[removeSeat];
+        const bot = table.seats[removeSeat];
         logEvent(room, `🤖 ${bot.name} (bot) removed`);
-        writeRoomLog(room, `BOT REMOVED: ${bot.name} | Seat ${removeSeat + 1}`);
-        room.seats[removeSeat] = null;
-        broadcastAll(room, lobbySnapshot(room));
+        writeRoomLog(table, `BOT REMOVED: ${bot.name} | Seat ${removeSeat + 1}`);
+        table.seats[removeSeat] = null;
+        syncTournamentLobbies(room);
         break;
       }
 
       case 'startGame': {
         const room = rooms.get(myRoomId);
-        if (!room || myId !== room.hostId) return;
-        const playable = room.seats.filter(s => s && !s.autoFold);
-        if (playable.length < 2) { send(ws, { type: 'error', msg: 'Need at least 2 players' }); return; }
-        svrLog(`GAME START - room ${myRoomId} | ${playable.length} players | type=${room.gameType}`);
-        room.gameActive = true;
-        if (room.gameType === 'tournament') {
-          room.blindLevel = 0;
-          room.tournamentPlacement = [];
-          room.seats.forEach(s => {
-            if (s) { s.chips = room.tournamentChips; s.buyInTotal = room.tournamentChips; s.buyInCount = 1; }
-          });
-          startBlindTimer(room);
-        }
-        broadcastAll(room, { type: 'gameStarting', gameType: room.gameType });
-        broadcastAll(room, lobbySnapshot(room));
-        startNewHand(room);
+        if (!room || myId !== room.hostId || room.gameActive || (room.mtt && room.mtt !== room.id)) return;
+        const registered = tournamentTables(room).flatMap(r => r.seats.filter(s => s && !s.autoFold));
+        if (registered.length < 2) { send(ws, { type: 'error', msg: 'Need at least 2 players' }); return; }
+        const tables = room.gameType === 'tournament' && room.multiTable ? seatTournament(room) : [room];
+        svrLog(`GAME START - room ${room.id} | ${registered.length} players | type=${room.gameType} ${roomBetting(room)}-${roomVariant(room)}${tables.length > 1 ? ` | ${tables.length} tables` : ''}`);
+        const placement = [];   // one list for every table
+        tables.forEach(r => {
+          r.gameActive = true;
+          r.gameStartedAt = new Date().toISOString();
+          r._lastBlinds = null;   // missed blinds are counted from this session's first hand
+          r.seats.forEach(s => { if (s) s.timeBank = null; });   // and everyone starts with a full time bank
+          if (r.gameType === 'tournament') {
+            r.blindLevel = 0;
+            r.tournamentPlacement = placement;
+            r.tournamentEntrants = registered.length;
+            r.seats.forEach(s => {
+              if (s) { s.chips = r.tournamentChips; s.buyInTotal = r.tournamentChips; s.buyInCount = 1; s.rebuys = 0; s.addOns = 0; s.entryFees = r.tournamentBuyIn || 0; }
+            });
+            r.rebuyFees = 0;
+          }
+        });
+        if (room.gameType === 'tournament') startBlindTimer(room);
+        tables.forEach(r => {
+          if (r.gameType === 'tournament') {
+            prizeLines(r).forEach(l => writeRoomLog(r, l));
+            if (r.rebuyLevels > 0) writeRoomLog(r, `REBUYS: levels 1-${r.rebuyLevels}${r.addOn ? ' | add-on after' : ''} | ${r.tournamentChips} chips for ${fmtPounds(r.tournamentBuyIn || 0)}`);
+          }
+          broadcastAll(r, { type: 'gameStarting', gameType: r.gameType });
+          broadcastAll(r, lobbySnapshot(r));
+          startNewHand(r);
+        });
+        break;
+      }
+
+      case 'endGame': {
+        const room = rooms.get(myRoomId);
+        if (!room || myId !== room.hostId || !room.gameActive) return;
+        // Nothing in play (e.g. restored after a restart) - settle straight away
+        if (!room.G) { endSession(room); break; }
+        room.endRequested = true;
+        logEvent(room, '\uD83C\uDFC1 Host is ending the game - settling up after this hand');
         break;
       }
 
       case 'setGameType': {
         const room = rooms.get(myRoomId);
-        if (!room || room.hostId !== myId || room.gameActive) return;
+        if (!room || room.hostId !== myId || room.gameActive || (room.mtt && room.mtt !== room.id)) return;
+        const extraTables = tournamentTables(room).slice(1);
+        if (extraTables.some(r => r.seats.some(Boolean)) && (msg.gameType === 'cash' || msg.multiTable === false)) {
+          send(ws, { type: 'error', msg: 'Players are registered at other tables - remove them before going single-table.' });
+          return;
+        }
         if (msg.gameType === 'cash' || msg.gameType === 'tournament') room.gameType = msg.gameType;
+        if (typeof msg.multiTable === 'boolean') room.multiTable = msg.multiTable && room.gameType === 'tournament';
+        if (VARIANTS[msg.variant] && msg.variant !== room.variant) { room.variant = msg.variant; room.betting = VARIANTS[msg.variant].betting; }
+        if (BETTING[msg.betting]) room.betting = msg.betting;
         if (msg.tournamentChips > 0) room.tournamentChips = Math.max(100, Math.round(msg.tournamentChips));
-        if (msg.blindLevelDuration > 0) room.blindLevelDuration = Math.max(1, Math.min(120, Math.round(msg.blindLevelDuration)));
-        svrLog(`ROOM ${room.id} type=${room.gameType} chips=${room.tournamentChips} blindDur=${room.blindLevelDuration}min`);
-        broadcastAll(room, lobbySnapshot(room));
+        if (msg.tournamentBuyIn != null && msg.tournamentBuyIn >= 0) room.tournamentBuyIn = Math.min(10000000, Math.round(msg.tournamentBuyIn));
+        if (msg.rebuyLevels != null && msg.rebuyLevels >= 0) room.rebuyLevels = Math.min(MAX_REBUY_LEVELS, Math.floor(msg.rebuyLevels));
+        if (typeof msg.addOn === 'boolean') room.addOn = msg.addOn;
+        if (msg.lateRegLevels != null && msg.lateRegLevels >= 0) room.lateRegLevels = Math.min(MAX_LATE_REG_LEVELS, Math.floor(msg.lateRegLevels));
+        if (msg.timeBankSecs != null && msg.timeBankSecs >= 0) room.timeBankSecs = Math.min(MAX_TIME_BANK_SECS, Math.floor(msg.timeBankSecs));
+        if (msg.timeBankAdd != null && msg.timeBankAdd >= 0) room.timeBankAdd = Math.min(MAX_TIME_BANK_SECS, Math.floor(msg.timeBankAdd));
+        if (msg.timeBankEvery != null && msg.timeBankEvery >= 0) room.timeBankEvery = Math.min(100, Math.floor(msg.timeBankEvery));
+        if (PAYOUT_PRESETS[msg.payoutPreset]) { room.payoutPreset = msg.payoutPreset; room.payoutTiers = null; }
+        else if (msg.payouts) {
+          const tiers = sanitizePayouts(msg.payouts);
+          if (tiers) { room.payoutPreset = 'custom'; room.payoutTiers = tiers; }
+          else send(ws, { type: 'error', msg: `Payouts must be 1-${MAX_PAID_PLACES} positive percentages adding up to 100.` });
+        }
+        if (BLIND_PRESETS[msg.blindPreset]) {
+          room.blindPreset = msg.blindPreset; room.blindStructure = BLIND_PRESETS[msg.blindPreset].map(e => ({ ...e }));
+        } else if (msg.blindStructure) {
+          const st = sanitizeBlindStructure(msg.blindStructure);
+          if (st) { room.blindPreset = 'custom'; room.blindStructure = st; }
+          else send(ws, { type: 'error', msg: 'Blind structure needs at least one level, and must start with a level (max 40 rows).' });
+        }
+        svrLog(`ROOM ${room.id} type=${room.gameType} game=${roomBetting(room)}-${roomVariant(room)} chips=${room.tournamentChips} blinds=${room.blindPreset} (${blindStructure(room).length} entries)${room.multiTable ? ' multi-table' : ''}`);
+        syncTournamentLobbies(room);
         break;
       }
 
@@ -875,7 +2549,7 @@ wss.on('connection', (ws, req) => {
         const room = rooms.get(myRoomId);
         if (!room || !room.gameActive) return;
         const p = room.seats.find(s => s?.id === myId);
-        if (p) pauseGame(room, p.name);
+        if (p) tournamentTables(room).forEach(r => pauseGame(r, p.name));   // every table stops with the clock
         break;
       }
 
@@ -883,7 +2557,7 @@ wss.on('connection', (ws, req) => {
         const room = rooms.get(myRoomId);
         if (!room || !room.gameActive) return;
         const p = room.seats.find(s => s?.id === myId);
-        if (p) resumeGame(room, p.name);
+        if (p) tournamentTables(room).forEach(r => resumeGame(r, p.name));
         break;
       }
 
@@ -892,25 +2566,84 @@ wss.on('connection', (ws, req) => {
         if (!room) return;
         const p = room.seats.find(s => s?.id === myId);
         if (!p || !p.pendingBuyBack) return;
-        if (p._buyBackTimer) { clearTimeout(p._buyBackTimer); p._buyBackTimer = null; }
-        const resolve = p._onBuyBackResolved; p._onBuyBackResolved = null;
-        if (msg.accept) {
-          const buyInChips = (msg.buyIn && msg.buyIn > 0) ? Math.round(msg.buyIn) : room.buyIn;
-          p.chips = buyInChips; p.pendingBuyBack = false; p.spectator = false;
-          p.buyInCount = (p.buyInCount || 1) + 1; p.buyInTotal = (p.buyInTotal || room.buyIn) + buyInChips;
-          p.sittingOut = true;
-          writeLog(room, `BUY-BACK: ${p.name} | Seat ${p.seat+1} | Bought back in for ${fmtPounds(buyInChips)} | Total invested: ${fmtPounds(p.buyInTotal)} (${p.buyInCount} buy-ins)`);
-          logEvent(room, `\u2705 ${p.name} bought back in`);
-          send(p.ws, { type: 'buyBackAccepted', chips: buyInChips });
+        answerBuyBack(room, p, !!msg.accept, msg.buyIn);
+        break;
+      }
+
+      case 'topUp': {
+        const room = rooms.get(myRoomId);
+        if (!room) return;
+        const p = room.seats.find(s => s?.id === myId);
+        if (!canTopUp(room, p, msg.kind)) {
+          send(ws, { type: 'error', msg: msg.kind === 'addon' ? 'The add-on is not available.' : `Rebuys are only open during the first ${room.rebuyLevels || 0} levels, at or under ${room.tournamentChips} chips.` });
+          return;
+        }
+        if (!queueOrTopUp(room, p, msg.kind)) {
+          writeLog(room, `${msg.kind === 'rebuy' ? 'REBUY' : 'ADD-ON'} QUEUED: ${p.name} | Seat ${p.seat+1}`);
+          send(ws, { type: 'logEvent', text: `\u23f3 Your ${msg.kind === 'rebuy' ? 'rebuy' : 'add-on'} will be added before the next hand` });
+        }
+        broadcastState(room);
+        break;
+      }
+
+      case 'runItTwice': {
+        const room = rooms.get(myRoomId);
+        const p = room?.seats.find(s => s?.id === myId);
+        if (p) voteRunItTwice(room, p, msg.agree === true);
+        break;
+      }
+
+      case 'sitOut': {
+        const room = rooms.get(myRoomId);
+        if (!room || room.gameType === 'tournament') return;
+        const p = room.seats.find(s => s?.id === myId);
+        if (!p || p.spectator) return;
+        if (msg.enabled === true) {
+          if (p.sitOut === true) return;
+          p.sitOut = true; p.postMissed = false;
+          writeLog(room, `SITTING OUT: ${p.name} | Seat ${p.seat+1}`);
+          logEvent(room, `\u23F8 ${p.name} is sitting out`);
         } else {
-          p.pendingBuyBack = false; p.sittingOut = true; p.spectator = true;
-          recordPlayerExit(room, p, 'bust');
-          writeLog(room, `BUY-BACK DECLINED: ${p.name} | Seat ${p.seat+1} | IP: ${p.ip || 'unknown'} | Finished with ${fmtPounds(0)}`);
-          logEvent(room, `\ud83d\udc40 ${p.name} declined buy-back - now spectating`);
-          send(p.ws, { type: 'spectating' });
+          if (!p.sitOut) return;
+          returnFromSitOut(room, p);
+          writeLog(room, `BACK: ${p.name} | Seat ${p.seat+1}${p.sitOut ? ' | Owes missed blinds' : ''}`);
+          logEvent(room, `\u25B6\uFE0F ${p.name} is back${p.sitOut ? ' - waiting for the big blind' : ''}`);
+        }
+        broadcastState(room);
+        break;
+      }
+
+      case 'missedBlindChoice': {
+        const room = rooms.get(myRoomId);
+        if (!room) return;
+        const p = room.seats.find(s => s?.id === myId);
+        if (!p || p.sitOut !== 'wait' || !missedBlindsOwed(room, p)) return;
+        if (msg.choice === 'post') {
+          p.sitOut = false; p.postMissed = true;
+          logEvent(room, `\uD83D\uDCB7 ${p.name} will post ${fmtPounds(missedBlindsOwed(room, p).total)} in missed blinds next hand`);
         }
         broadcastState(room);
-        if (resolve) resolve();
+        break;
+      }
+
+      case 'entropy': {
+        const room = rooms.get(myRoomId);
+        if (!room) return;
+        const p = room.seats.find(s => s?.id === myId);
+        // Only counts toward the hand it was sent for - a seed for an old commitment is dropped
+        if (!p || typeof msg.seed !== 'string' || !FAIR_CLIENT_SEED_RE.test(msg.seed) || msg.commit !== fairCommit(room)) return;
+        p.clientSeed = msg.seed;
+        break;
+      }
+
+      case 'straddleOpt': {
+        const room = rooms.get(myRoomId);
+        if (!room) return;
+        const p = room.seats.find(s => s?.id === myId);
+        if (!p) return;
+        p.straddleOn = msg.enabled === true;
+        writeLog(room, `STRADDLE ${p.straddleOn ? 'ON' : 'OFF'}: ${p.name} | Seat ${p.seat+1}`);
+        broadcastState(room);
         break;
       }
 
@@ -955,7 +2688,7 @@ wss.on('connection', (ws, req) => {
         broadcastAll(room, { type: 'playerLeft', id: s.id, name: s.name, seat: s.seat, chips: 0, reason: 'exit' });
         room.seats[s.seat] = null;
         if (room.hostId === s.id) {
-          const newHost = room.seats.find(Boolean);
+          const newHost = room.seats.find(canHost);
           if (newHost) { room.hostId = newHost.id; send(newHost.ws, { type: 'logEvent', text: '\uD83D\uDC51 You are now the host.' }); }
         }
         broadcastAll(room, lobbySnapshot(room)); broadcastState(room); scheduleRoomCleanup(room);
@@ -976,7 +2709,7 @@ wss.on('connection', (ws, req) => {
           writeLog(room, `CASH OUT REQUESTED: ${s.name} | Seat ${s.seat+1} | Chips: ${fmtPounds(s.chips)} | Will take effect end of hand`);
           if (room.G.toAct[0] === s.seat) { clearActionTimer(room); doFold(room, s.seat, 'cash out'); }
           else if (!s.folded) {
-            s.folded = true;
+            s.folded = true; histAction(room, s.seat, 'fold', 0, 'cash out');
             const idx = room.G.toAct.indexOf(s.seat); if (idx !== -1) room.G.toAct.splice(idx, 1);
             broadcastAll(room, { type: 'playerAction', seat: s.seat, action: 'fold', amount: 0, name: s.name + ' (cashing out)' });
             broadcastState(room); checkRoundEnd(room);
@@ -994,9 +2727,31 @@ wss.on('connection', (ws, req) => {
         break;
       }
 
+      case 'viewerChat': {
+        const room = rooms.get(myRoomId); if (!room) return;
+        const v = (room.viewers || []).find(v => v.ws === ws); if (!v) return;
+        const text = String(msg.text || '').slice(0, 120); if (!text.trim()) return;
+        writeLog(room, `VIEWER CHAT [${v.name}]: ${text}`);
+        broadcastViewers(room, { type: 'viewerChat', name: v.name, text });
+        break;
+      }
+
+      case 'setWatchOptions': {
+        const room = rooms.get(myRoomId); if (!room || room.hostId !== myId) return;
+        if (typeof msg.approval === 'boolean') room.watchApproval = msg.approval;
+        if ('revealDelay' in msg) {
+          room.watchRevealDelay = msg.revealDelay == null || msg.revealDelay === '' ? null
+            : Math.max(0, Math.min(MAX_WATCH_DELAY, Math.round(Number(msg.revealDelay)) || 0));
+          if (room.watchRevealDelay == null) room.viewerReveals = [];
+        }
+        writeRoomLog(room, `WATCH OPTIONS: ${room.watchApproval ? 'viewers need approval' : 'open to viewers'} | hole cards ${room.watchRevealDelay == null ? 'never shown' : `shown ${room.watchRevealDelay} hand(s) later`} (set by host)`);
+        broadcastAll(room, lobbySnapshot(room));
+        break;
+      }
+
       case 'setBuyIn': {
         const room = rooms.get(myRoomId); if (!room || room.hostId !== myId) return;
-        const newBuyIn = Math.max(20, Math.round(Number(msg.buyIn)));
+        const newBuyIn = clampBuyIn(room, Number(msg.buyIn));
         room.buyIn = newBuyIn;
         writeRoomLog(room, `BUY-IN CHANGED: ${fmtPounds(newBuyIn)} (set by host)`);
         logEvent(room, `\uD83D\uDCB0 Buy-in set to \u00a3${(newBuyIn/100).toFixed(2)} by host`);
@@ -1004,6 +2759,20 @@ wss.on('connection', (ws, req) => {
         break;
       }
 
+      case 'setStakes': {
+        const room = rooms.get(myRoomId); if (!room || room.hostId !== myId || room.gameType === 'tournament') return;
+        const st = sanitizeStakes(msg.stakes);
+        if (!st) { send(ws, { type: 'error', msg: 'Stakes need a small blind of at least 1p, a big blind no smaller than it, and an ante no bigger than the big blind.' }); return; }
+        if (room.gameActive) {
+          room.pendingStakes = st;
+          writeRoomLog(room, `STAKES CHANGE QUEUED: ${fmtStakes(st)} (set by host, from next hand)`);
+          logEvent(room, `\uD83D\uDCB5 Stakes change to ${fmtStakes(st)} from the next hand`);
+          broadcastState(room);
+        } else applyStakes(room, st);
+        broadcastAll(room, lobbySnapshot(room));
+        break;
+      }
+
       case 'setStack': {
         const room = rooms.get(myRoomId); if (!room || room.hostId !== myId) return;
         const target = room.seats.find(s => s?.id === msg.playerId); if (!target) return;
@@ -1019,6 +2788,7 @@ wss.on('connection', (ws, req) => {
   });
 
   ws.on('close', () => {
+    if (ws._roomId) myRoomId = ws._roomId;
     svrLog(`WS CLOSE - id=${myId||'(pre-join)'} room=${myRoomId||'none'} | IP: ${clientIp}`);
     if (!myId || !myRoomId) return;
     const room = rooms.get(myRoomId); if (!room) return;
@@ -1029,6 +2799,7 @@ wss.on('connection', (ws, req) => {
       svrLog(`PENDING JOIN CANCELLED: ${pj.name} | IP: ${clientIp}`);
       broadcastAll(room, lobbySnapshot(room)); scheduleRoomCleanup(room); return;
     }
+    if ((room.viewers || []).some(v => v.ws === ws)) { removeViewer(room, ws); return; }
 
     const s = room.seats.find(s => s?.id === myId);
     if (!s || s.ws !== ws) return;
@@ -1039,7 +2810,7 @@ wss.on('connection', (ws, req) => {
     s.autoFold = true; broadcastState(room);
     if (room.G && room.G.toAct[0] === s.seat) { clearActionTimer(room); doFold(room, s.seat, 'disconnected'); }
     else if (room.G && !s.folded) {
-      s.folded = true;
+      s.folded = true; histAction(room, s.seat, 'fold', 0, 'disconnected');
       const idx = room.G.toAct.indexOf(s.seat); if (idx !== -1) room.G.toAct.splice(idx, 1);
       broadcastAll(room, { type: 'playerAction', seat: s.seat, action: 'fold', amount: 0, name: s.name + ' (disconnected)' });
       broadcastState(room); checkRoundEnd(room);
@@ -1060,12 +2831,15 @@ function executeCashOut(room, s) {
   broadcastAll(room, { type: 'playerLeft', id: s.id, name: s.name, seat: seatIdx, chips: s.chips, reason: 'cashout' });
   room.seats[seatIdx] = null;
   if (room.hostId === s.id) {
-    const newHost = room.seats.find(Boolean);
+    const newHost = room.seats.find(canHost);
     if (newHost) { room.hostId = newHost.id; send(newHost.ws, { type: 'logEvent', text: '\uD83D\uDC51 You are now the host.' }); }
   }
   broadcastAll(room, lobbySnapshot(room)); broadcastState(room); scheduleRoomCleanup(room);
 }
 
+// Bots and external bots never take over as host
+function canHost(s) { return !!s && !s.isBot && !s.external; }
+
 // secret param added — stored on the player object
 function mkPlayer(ws, id, name, seat, room, chips, ip, secret) {
   const startChips = chips != null ? chips : (room ? room.buyIn : START_CHIPS);
@@ -1078,38 +2852,178 @@ function mkPlayer(ws, id, name, seat, room, chips, ip, secret) {
   };
 }
 
-function buyInTag(s) { return `[Buy-ins: ${s.buyInCount} | Total in: \u00a3${(s.buyInTotal/100).toFixed(2)}]`; }
+// Answer to a buy-back (cash) or rebuy (tournament) offer; accepted players are dealt in from the next hand
+function answerBuyBack(room, p, accept, buyIn) {
+  if (p._buyBackTimer) { clearTimeout(p._buyBackTimer); p._buyBackTimer = null; }
+  const resolve = p._onBuyBackResolved; p._onBuyBackResolved = null;
+  if (room.gameType === 'tournament') {
+    // Rebuy offer - a decline leaves them on zero and finish() eliminates them
+    p.pendingBuyBack = false;
+    if (accept) { topUp(room, p, 'rebuy'); p.sittingOut = true; send(p.ws, { type: 'buyBackAccepted', chips: p.chips, kind: 'rebuy' }); }
+    else writeLog(room, `REBUY DECLINED: ${p.name} | Seat ${p.seat+1}`);
+  } else if (accept) {
+    const buyInChips = clampBuyIn(room, (buyIn && buyIn > 0) ? buyIn : room.buyIn);
+    p.chips = buyInChips; p.pendingBuyBack = false; p.spectator = false;
+    p.buyInCount = (p.buyInCount || 1) + 1; p.buyInTotal = (p.buyInTotal || room.buyIn) + buyInChips;
+    p.sittingOut = true;
+    writeLog(room, `BUY-BACK: ${p.name} | Seat ${p.seat+1} | Bought back in for ${fmtPounds(buyInChips)} | Total invested: ${fmtPounds(p.buyInTotal)} (${p.buyInCount} buy-ins)`);
+    logEvent(room, `\u2705 ${p.name} bought back in`);
+    send(p.ws, { type: 'buyBackAccepted', chips: buyInChips });
+  } else {
+    p.pendingBuyBack = false; p.sittingOut = true; p.spectator = true;
+    recordPlayerExit(room, p, 'bust');
+    writeLog(room, `BUY-BACK DECLINED: ${p.name} | Seat ${p.seat+1} | IP: ${p.ip || 'unknown'} | Finished with ${fmtPounds(0)}`);
+    logEvent(room, `\ud83d\udc40 ${p.name} declined buy-back - now spectating`);
+    send(p.ws, { type: 'spectating' });
+  }
+  broadcastState(room);
+  if (resolve) resolve();
+}
+
+// Seats an admitted join request, or an external bot with a token; false if there's no seat
+function seatNewPlayer(room, p) {
+  const late = room.gameActive && lateRegOpen(room);
+  const { table, seat } = late ? lateRegSeat(room) : registrationSeat(room);
+  if (seat === -1) { send(p.ws, { type: 'rejected', reason: 'Table is full' }); return false; }
+  // Stakes may have moved since the request was made, so the range is checked on admission
+  const startChips = room.gameType === 'tournament' ? room.tournamentChips : clampBuyIn(room, p.buyIn || room.buyIn);
+  table.seats[seat] = mkPlayer(p.ws, p.id, p.name, seat, table, startChips, p.ip, p.secret);
+  if (p.account) table.seats[seat].account = p.account;
+  if (p.external) table.seats[seat].external = true;
+  if (table !== room) { if (p.ws) p.ws._roomId = table.id; writeRoomLog(room, `REGISTERED: ${p.name} -> table ${tableNumber(table)} (room ${table.id})`); }
+  send(p.ws, { type: 'joined', id: p.id, seat, isHost: false, account: p.account ? accounts[p.account].name : null,
+               ...(p.external ? { secret: p.secret, external: true } : {}) });
+  writeRoomLog(table, `${p.external ? 'EXTERNAL BOT' : 'PLAYER'} JOINED: ${p.name} | Seat ${seat+1} | IP: ${p.ip || 'unknown'} | Chips: ${fmtPounds(startChips)}`);
+  logEvent(room, `${p.external ? '\uD83D\uDD0C' : '\u2705'} ${p.name}${p.external ? ' (external bot)' : ''} joined the ${table === room ? 'table' : `tournament (table ${tableNumber(table)})`} (Seat ${seat+1})`);
+  if (room.gameActive) {
+    if (late) {
+      lateRegister(room, table, table.seats[seat]);
+    } else if (room.gameType === 'tournament') {
+      table.seats[seat].spectator = true; table.seats[seat].sittingOut = true;
+      send(p.ws, { type: 'sittingOut', reason: 'Tournament in progress - you are spectating.' });
+    } else {
+      table.seats[seat].sittingOut = true;
+      send(p.ws, { type: 'sittingOut', reason: 'Hand in progress - you will join next hand.' });
+    }
+    send(p.ws, tableSnapshot(table, p.id));
+    if (late) tournamentTables(room).forEach(broadcastState);
+  }
+  return true;
+}
+
+function buyInTag(s) {
+  if (s.entryFees != null) return `[Rebuys: ${s.rebuys || 0} | Add-ons: ${s.addOns || 0} | Paid: ${fmtPounds(s.entryFees)} | Chips bought: ${s.buyInTotal}]`;
+  return `[Buy-ins: ${s.buyInCount} | Total in: \u00a3${(s.buyInTotal/100).toFixed(2)}]`;
+}
 
 function ensurePlayerHistory(room, s) {
   if (!room.gameHistory) room.gameHistory = [];
   const existing = room.gameHistory.find(h => h.id === s.id);
-  if (!existing) { room.gameHistory.push({ id: s.id, name: s.name, buyInTotal: s.buyInTotal || room.buyIn, chips: s.chips, status: 'active', ip: s.ip || 'unknown' }); }
-  else { existing.name = s.name; existing.buyInTotal = s.buyInTotal || existing.buyInTotal; if (existing.status !== 'cashout' && existing.status !== 'evicted') existing.status = 'active'; }
+  if (!existing) { room.gameHistory.push({ id: s.id, name: s.name, buyInTotal: s.buyInTotal ?? room.buyIn, chips: s.chips, status: 'active', ip: s.ip || 'unknown', isBot: s.isBot || false }); }
+  else { existing.name = s.name; existing.buyInTotal = s.buyInTotal ?? existing.buyInTotal; if (existing.status !== 'cashout' && existing.status !== 'evicted') existing.status = 'active'; }
 }
 
 function recordPlayerExit(room, s, status) {
   if (!room.gameHistory) room.gameHistory = [];
   const idx = room.gameHistory.findIndex(h => h.id === s.id);
-  const record = { id: s.id, name: s.name, buyInTotal: s.buyInTotal || room.buyIn, chips: s.chips, status, ip: s.ip || 'unknown' };
+  const record = { id: s.id, name: s.name, buyInTotal: s.buyInTotal ?? room.buyIn, chips: s.chips, status, ip: s.ip || 'unknown', isBot: s.isBot || false };
   if (idx >= 0) room.gameHistory[idx] = record; else room.gameHistory.push(record);
+  accountRecordExit(room, s, status);
 }
 
-function writeGameSummary(room) {
-  if (!room.G || !room.G.logPath) return;
+// Everyone who has played this session - departed players from gameHistory,
+// seated players as they stand now (chips in an unfinished pot count as theirs)
+function sessionLedger(room) {
   const registry = new Map();
   (room.gameHistory || []).forEach(h => registry.set(h.id, { ...h }));
+  const inPot = !!(room.G && room.G.pot > 0);
   room.seats.forEach(s => {
     if (!s) return;
     const prev = registry.get(s.id) || {};
-    registry.set(s.id, { id: s.id, name: s.name, buyInTotal: s.buyInTotal || prev.buyInTotal || room.buyIn, chips: s.chips, status: s.spectator ? 'spectating' : s.pendingBuyBack ? 'bust' : 'active', ip: s.ip || prev.ip || 'unknown' });
+    registry.set(s.id, { id: s.id, name: s.name, buyInTotal: s.buyInTotal ?? prev.buyInTotal ?? room.buyIn, chips: s.chips + (inPot ? (s.totalBet || 0) : 0), status: s.spectator ? 'spectating' : s.pendingBuyBack ? 'bust' : 'active', ip: s.ip || prev.ip || 'unknown', isBot: s.isBot || false });
   });
-  if (registry.size === 0) return;
   const ORD = { active: 0, spectating: 1, cashout: 2, bust: 3, evicted: 4 };
-  const players = [...registry.values()].sort((a, b) => {
+  return [...registry.values()].sort((a, b) => {
     const od = (ORD[a.status] ?? 5) - (ORD[b.status] ?? 5);
     if (od) return od;
     return ((b.chips ?? 0) - (b.buyInTotal || 0)) - ((a.chips ?? 0) - (a.buyInTotal || 0));
   });
+}
+
+// ─── Settlement: who pays whom ────────────────────────────────────────────────
+// Fewest payments that square everyone's net. The table splits into as many
+// independent zero-sum groups as possible (a group of k needs k-1 payments);
+// beyond SETTLE_EXACT_MAX players that search is too big and largest-first
+// matching is used instead. Bots don't pay or get paid - whatever they won or
+// lost is reported as unsettled.
+const SETTLE_EXACT_MAX = 14;
+
+function settleGroup(parties) {
+  const payers = parties.filter(p => p.net < 0).map(p => ({ name: p.name, owe: -p.net })).sort((a, b) => b.owe - a.owe);
+  const payees = parties.filter(p => p.net > 0).map(p => ({ name: p.name, due: p.net })).sort((a, b) => b.due - a.due);
+  const payments = [];
+  let i = 0, j = 0;
+  while (i < payers.length && j < payees.length) {
+    const amount = Math.min(payers[i].owe, payees[j].due);
+    if (amount > 0) payments.push({ from: payers[i].name, to: payees[j].name, amount });
+    payers[i].owe -= amount; payees[j].due -= amount;
+    if (payers[i].owe === 0) i++;
+    if (payees[j].due === 0) j++;
+  }
+  return payments;
+}
+
+function settleUp(parties) {
+  parties = parties.filter(p => p.net !== 0);
+  const total = parties.reduce((t, p) => t + p.net, 0);
+  if (total !== 0 || parties.length > SETTLE_EXACT_MAX) return settleGroup(parties);
+  // best[mask] = most zero-sum groups the players in mask can be split into
+  const n = parties.length, size = 1 << n;
+  const sum = new Int32Array(size), best = new Int8Array(size);
+  for (let mask = 1; mask < size; mask++) {
+    const low = mask & -mask, i = 31 - Math.clz32(low);
+    sum[mask] = sum[mask ^ low] + parties[i].net;
+    let b = 0;
+    for (let k = 0; k < n; k++) if (mask & (1 << k)) b = Math.max(b, best[mask ^ (1 << k)]);
+    best[mask] = b + (sum[mask] === 0 ? 1 : 0);
+  }
+  // Peel players off along an optimal path; each zero-sum point closes a group
+  const payments = [];
+  let mask = size - 1, group = [];
+  while (mask) {
+    let k = 0;
+    while (!(mask & (1 << k)) || best[mask ^ (1 << k)] + (sum[mask] === 0 ? 1 : 0) !== best[mask]) k++;
+    group.push(parties[k]); mask ^= 1 << k;
+    if (sum[mask] === 0) { payments.push(...settleGroup(group)); group = []; }
+  }
+  return payments;
+}
+
+function sessionSettlement(room) {
+  const players = sessionLedger(room).map(p => ({ name: p.name, buyInTotal: p.buyInTotal || 0, chips: p.chips ?? 0, net: (p.chips ?? 0) - (p.buyInTotal || 0), status: p.status, isBot: p.isBot || false }));
+  const isCash = (room.gameType || 'cash') === 'cash';
+  const humans = players.filter(p => !p.isBot);
+  const payments = isCash ? settleUp(humans) : [];
+  return {
+    room: room.id, at: new Date().toISOString(), gameType: room.gameType || 'cash', handNum: room.handNum,
+    players, payments,
+    unsettled: isCash ? humans.reduce((t, p) => t + p.net, 0) : 0,
+  };
+}
+
+function settlementLines(st) {
+  if (st.gameType !== 'cash') return ['No cash settlement - tournament chips have no cash value'];
+  const lines = st.payments.length
+    ? st.payments.map(pay => `${pay.from} pays ${pay.to} ${fmtPounds(pay.amount)}`)
+    : ['Nobody owes anybody anything'];
+  if (st.unsettled) lines.push(`Unsettled ${(st.unsettled > 0 ? '+' : '-') + fmtPounds(Math.abs(st.unsettled))} (won/lost against bots)`);
+  return lines;
+}
+
+function writeGameSummary(room) {
+  if (!room.G || !room.G.logPath) return;
+  const players = sessionLedger(room);
+  if (players.length === 0) return;
   let totalIn = 0, totalOut = 0;
   players.forEach(p => { totalIn += p.buyInTotal || 0; totalOut += p.chips ?? 0; });
   const W = 78, pad = (s, n) => { s = String(s); return s.length >= n ? s.slice(0, n) : s + ' '.repeat(n - s.length); };
@@ -1122,15 +3036,136 @@ function writeGameSummary(room) {
   out += '\u2551' + ('  ' + pad('Player', 18) + ' ' + pad('Bought In', 10) + ' ' + pad('Has / Out', 10) + ' ' + pad('Net P&L', 10) + ' ' + pad('Status', 10) + ' ' + pad('IP Address', 16)).padEnd(W) + '\u2551\n' + SEP;
   players.forEach(p => { const c = p.chips ?? 0; out += dataRow(p.name, p.buyInTotal || 0, c, c - (p.buyInTotal || 0), p.status || 'active', p.ip || 'unknown'); });
   const totalNet = totalOut - totalIn, balTag = Math.abs(totalNet) <= 1 ? 'BALANCED' : 'ERR ' + net(totalNet);
-  out += SEP + dataRow('TOTALS', totalIn, totalOut, totalNet, balTag, '') + '\u255a' + '\u2550'.repeat(W) + '\u255d\n';
+  out += SEP + dataRow('TOTALS', totalIn, totalOut, totalNet, balTag, '');
+  if (room.gameType === 'tournament' && room.tournamentEntrants) {
+    out += SEP;
+    prizeLines(room).forEach(l => { out += '\u2551' + ('  ' + l).padEnd(W) + '\u2551\n'; });
+  }
+  if ((room.gameType || 'cash') === 'cash') {
+    out += SEP + '\u2551' + '  SETTLE UP (if the game ended now)'.padEnd(W) + '\u2551\n';
+    settlementLines(sessionSettlement(room)).forEach(l => { out += '\u2551' + ('  ' + l).padEnd(W) + '\u2551\n'; });
+  }
+  out += '\u255a' + '\u2550'.repeat(W) + '\u255d\n';
   try { fs.appendFileSync(room.G.logPath, out); } catch {}
 }
 
-function shuffle(d) {
-  for (let i = d.length - 1; i > 0; i--) { const j = crypto.randomInt(0, i + 1); [d[i], d[j]] = [d[j], d[i]]; }
+// ─── Provably fair shuffle ────────────────────────────────────────────────────
+// Commit-reveal: before a hand the server publishes SHA-256(serverSeed). Players send
+// their own entropy against that commitment, the deck is a pure function of the server
+// seed plus every client seed, and the server seed is revealed when the hand ends - so
+// the server can't pick a deck and no player can steer one. /verify rebuilds any hand.
+// The seed rebuilds the whole deck, folded hands included, so it only goes to the
+// players dealt into that hand: the fairReveal message, and /verify with their
+// ?id=&secret= (handRequester). Anyone else gets the commitment and the board checked.
+const FAIR_CLIENT_SEED_RE = /^[0-9a-zA-Z]{8,64}$/;
+// Seeded mode (DECK_SEED, or room.seed set by the simulation harness): every server seed
+// is derived from the room seed and hand number, so a game replays card for card.
+// Only for testing - anyone who knows the seed knows every deck.
+const DECK_SEED = process.env.DECK_SEED || null;
+
+function sha256(str) { return crypto.createHash('sha256').update(str).digest('hex'); }
+function newServerSeed(room, hand) {
+  const seed = room.seed != null ? sha256(`${room.seed}:${room.id}:${hand}`) : crypto.randomBytes(32).toString('hex');
+  return { seed, hash: sha256(seed) };
+}
+
+// The commitment for the next hand on this table, made once and kept until it is dealt
+function fairCommit(room) {
+  if (!room.nextSeed) room.nextSeed = newServerSeed(room, (room.handNum || 0) + 1);
+  return room.nextSeed.hash;
+}
+
+// Client seeds are tagged with the seat ("3:ab12...") so the order is fixed and visible
+function deckSeed(serverSeed, clientSeeds) { return sha256([serverSeed, ...clientSeeds].join(':')); }
+
+// Uniform ints in [min, max) from HMAC-SHA256(seed, counter) blocks - rejection sampling keeps it unbiased
+function seededRandomInt(seed) {
+  let counter = 0, buf = Buffer.alloc(0);
+  const next32 = () => {
+    if (buf.length < 4) buf = crypto.createHmac('sha256', seed).update(String(counter++)).digest();
+    const v = buf.readUInt32BE(0); buf = buf.subarray(4); return v;
+  };
+  return (min, max) => {
+    const range = max - min, limit = Math.floor(0x100000000 / range) * range;
+    let v; do { v = next32(); } while (v >= limit);
+    return min + (v % range);
+  };
+}
+
+function shuffle(d, randomInt = crypto.randomInt) {
+  for (let i = d.length - 1; i > 0; i--) { const j = randomInt(0, i + 1); [d[i], d[j]] = [d[j], d[i]]; }
   return d;
 }
-function buildDeck() { const d = []; for (const s of SUITS) for (const r of RANKS) d.push({ s, r }); return shuffle(d); }
+function buildDeck(seed) {
+  const d = []; for (const s of SUITS) for (const r of RANKS) d.push({ s, r });
+  return shuffle(d, seed ? seededRandomInt(seed) : crypto.randomInt);
+}
+
+// Take this hand's committed seed and mix in the entropy the players sent for it
+function fairDeal(room, active) {
+  const fair = room.nextSeed || newServerSeed(room, room.handNum);
+  room.nextSeed = null;
+  const clientSeeds = active.filter(i => room.seats[i].clientSeed).map(i => `${i+1}:${room.seats[i].clientSeed}`);
+  active.forEach(i => { room.seats[i].clientSeed = null; });
+  return { serverSeed: fair.seed, commit: fair.hash, clientSeeds, deck: buildDeck(deckSeed(fair.seed, clientSeeds)) };
+}
+
+// Hand over: publish the seed so the players can check it against the commitment.
+// The seed gives away every hole card, so viewers get it with the delayed reveal.
+function revealSeed(room) {
+  const G = room.G;
+  if (!G || !G.fair || !G.history) return null;
+  G.history.fair.serverSeed = G.fair.serverSeed;
+  const msg = { type: 'fairReveal', hand: room.handNum, commit: G.fair.commit, serverSeed: G.fair.serverSeed,
+    clientSeeds: G.fair.clientSeeds, verify: `/verify/${room.id}/${room.handNum}` };
+  const dealtIn = new Set(G.history.players.map(pl => pl.id));
+  room.seats.forEach(s => { if (s && dealtIn.has(s.id)) send(s.ws, msg); });
+  return msg;
+}
+
+// Rebuild a logged hand's deck and check every card that was dealt came off it in order.
+// me: the requesting player - unless they were dealt in, the seed, deck and hole cards stay out.
+function verifyHand(h, me) {
+  const f = h.fair;
+  if (!f) return { room: h.room, hand: h.hand, ok: false, error: 'This hand was dealt before provably fair shuffling was added' };
+  if (!f.serverSeed) return { room: h.room, hand: h.hand, ok: false, error: 'The server seed for this hand has not been revealed' };
+  const seed = deckSeed(f.serverSeed, f.clientSeeds || []), deck = buildDeck(seed), dealt = [];
+  const holeCards = Math.max(0, ...h.players.map(pl => (pl.cards || []).length));
+  for (let rd = 0; rd < holeCards; rd++) for (const seat of f.dealOrder || []) {
+    const pl = h.players.find(x => x.seat === seat);
+    dealt.push({ what: `Seat ${seat+1} ${pl ? pl.name : ''} card ${rd+1}`, card: pl && pl.cards[rd] });
+  }
+  (h.board || []).forEach((c, i) => dealt.push({ what: `Board card ${i+1}`, card: c }));
+  (h.streets2 || []).flatMap(st => st.cards).forEach((c, i) => dealt.push({ what: `Second board card ${i+1}`, card: c }));
+  const checks = dealt.map((d, i) => ({ what: d.what, logged: d.card ? fmtCard(d.card) : null, deck: fmtCard(deck[i]),
+    ok: !d.card || (d.card.r === deck[i].r && d.card.s === deck[i].s) }));
+  const commitOk = sha256(f.serverSeed) === f.commit;
+  const v = { room: h.room, hand: h.hand, commit: f.commit, serverSeed: f.serverSeed, clientSeeds: f.clientSeeds || [],
+    deckSeed: seed, commitOk, cardsOk: checks.every(c => c.ok), ok: commitOk && checks.every(c => c.ok),
+    deck: deck.map(fmtCard), checks };
+  if (me && h.players.some(pl => pl.id === me.id)) return v;
+  return { room: h.room, hand: h.hand, commit: f.commit, clientSeeds: v.clientSeeds, commitOk, cardsOk: v.cardsOk, ok: v.ok,
+    checks: checks.filter(c => !c.what.startsWith('Seat ')), playersOnly: true };
+}
+
+// query: the requester's ?id=&secret=, carried over to the [json] link
+function verifyPage(v, query = '') {
+  const yes = ok => ok ? '<b style="color:#6f6">OK</b>' : '<b style="color:#f66">MISMATCH</b>';
+  const seedRows = v.playersOnly ? `<tr><td>Server seed</td><td>shown only to the players dealt into this hand</td></tr>`
+    : `<tr><td>Server seed (revealed after the hand)</td><td>${v.serverSeed}</td></tr><tr><td>SHA-256(server seed)</td><td>${sha256(v.serverSeed)} ${yes(v.commitOk)}</td></tr>`;
+  const body = v.error ? `<p>${escHtml(v.error)}</p>`
+    : `<p>Result: ${yes(v.ok)}</p><table><tr><td>Commitment (published before the deal)</td><td>${v.commit}</td></tr>${seedRows}`
+      + `<tr><td>Client seeds</td><td>${v.clientSeeds.map(escHtml).join('<br>') || '(none)'}</td></tr>${v.playersOnly ? '' : `<tr><td>Deck seed</td><td>${v.deckSeed}</td></tr>`}</table>`
+      + `<h3>Cards dealt</h3><table><tr><th>Card</th><th>Logged</th><th>From deck</th><th></th></tr>${v.checks.map(c => `<tr><td>${escHtml(c.what)}</td><td>${c.logged || '-'}</td><td>${c.deck}</td><td>${yes(c.ok)}</td></tr>`).join('')}</table>`
+      + (v.playersOnly ? `<p>Hole cards and the full deck are shown only to the players dealt into this hand.</p>` : `<h3>Full deck</h3><p>${v.deck.join(' ')}</p>`)
+      + `<h3>How to check it yourself</h3><p>deck seed = SHA-256 of the server seed and the client seeds joined with ":".<br>`
+      + `Start from the ordered deck (suits ${SUITS.join(' ')}, ranks ${RANKS.join(' ')} within each suit) and Fisher-Yates shuffle it from the last card down, `
+      + `drawing j in [0, i] from successive 4-byte big-endian words of HMAC-SHA256(deck seed, "0"), HMAC-SHA256(deck seed, "1"), ... `
+      + `(a word is discarded if it is at or above the largest multiple of i+1 below 2^32). Cards are dealt from the top: hole cards round by round in the dealing order, then the board.</p>`;
+  return `<!DOCTYPE html><html><head><title>Verify hand #${v.hand}</title><style>body{font-family:monospace;background:#111;color:#aef;padding:20px}a{color:#ffd700}h2,h3{color:#ffd700}table{border-collapse:collapse}td,th{padding:4px 12px;border-bottom:1px solid #333;text-align:left;word-break:break-all}</style></head><body>`
+    + `<h2>SYFM Poker - Room ${escHtml(String(v.room))} hand #${v.hand}</h2>${body}`
+    + `<p><a href="/verify/${encodeURIComponent(v.room)}/${v.hand}.json${escHtml(query)}">[json]</a> <a href="/">Back to game</a></p></body></html>`;
+}
 
 function activePlaying(room) {
   return room.seats.map((s, i) => {
@@ -1144,13 +3179,96 @@ function nextSeat(from, active) {
   return nxt !== undefined ? nxt : sorted[0];
 }
 
-function buildActOrder(room, startSeat, active) {
+// lastSeat (a button straddler) closes the preflop round wherever they sit
+function buildActOrder(room, startSeat, active, lastSeat = -1) {
   const sorted = [...active].sort((a, b) => a - b);
   let startIdx = sorted.indexOf(startSeat); if (startIdx === -1) startIdx = 0;
   const ordered = [...sorted.slice(startIdx), ...sorted.slice(0, startIdx)];
+  if (ordered.includes(lastSeat)) ordered.push(...ordered.splice(ordered.indexOf(lastSeat), 1));
   return ordered.filter(i => { const p = room.seats[i]; return p && !p.folded && !p.autoFold && !p.voluntaryAutoFold && p.chips > 0; });
 }
 
+// Button, small and big blind for the next hand - worked out without moving the button
+function blindSeats(room, active) {
+  const dealerSeat = room.dealerSeat < 0 ? active[0] : nextSeat(room.dealerSeat, active);
+  const sbSeat = active.length === 2 ? dealerSeat : nextSeat(dealerSeat, active);
+  return { dealerSeat, sbSeat, bbSeat: nextSeat(sbSeat, active) };
+}
+
+function straddleSeatFor(room, active, dealerSeat, bbSeat) {
+  const mode = roomStakes(room).straddle;
+  if (!mode || room.gameType === 'tournament' || roomBetting(room) === 'fl' || active.length < 3) return -1;
+  const seat = mode === 'button' ? dealerSeat : nextSeat(bbSeat, active);
+  return mode === 'mandatory' || room.seats[seat].straddleOn ? seat : -1;
+}
+
+// ─── Missed blinds ────────────────────────────────────────────────────────────
+// A cash player who sits out (or drops) while a blind passes their seat owes it.
+// Coming back they either post what they owe at once - big blind live, small blind
+// dead - or sit out until the big blind reaches them and come in for free.
+function trackMissedBlinds(room, active, sbSeat, bbSeat) {
+  const last = room._lastBlinds;
+  room._lastBlinds = { sb: sbSeat, bb: bbSeat };
+  if (!last || room.gameType === 'tournament') return;
+  const passed = (from, to, seat) => {
+    const d = (to - from + NP) % NP, o = (seat - from + NP) % NP;
+    return o > 0 && o <= d;
+  };
+  room.seats.forEach(s => {
+    if (!s || s.isBot || active.includes(s.seat) || s.spectator || s.pendingBuyBack || s.chips <= 0) return;
+    if (passed(last.bb, bbSeat, s.seat)) s.missedBB = true;
+    if (passed(last.sb, sbSeat, s.seat)) s.missedSB = true;
+  });
+}
+
+function missedBlindsOwed(room, s) {
+  if (room.gameType === 'tournament' || (!s.missedBB && !s.missedSB)) return null;
+  const st = roomStakes(room), bb = s.missedBB ? st.bb : 0, sb = s.missedSB ? st.sb : 0;
+  return { bb, sb, total: bb + sb };
+}
+
+// Back from sitting out: dealt straight in if nothing is owed, otherwise waits for the
+// big blind until they choose to post
+function returnFromSitOut(room, s) {
+  const owed = missedBlindsOwed(room, s);
+  s.postMissed = false;
+  if (!owed) { s.sitOut = false; return; }
+  s.sitOut = 'wait';
+  send(s.ws, { type: 'missedBlinds', ...owed });
+}
+
+// Players waiting for the big blind come in on the hand where it reaches them (or for
+// free if the table would otherwise be too short to deal)
+function admitBigBlindWaiters(room, active) {
+  const waiters = room.seats.filter(s => s && s.sitOut === 'wait' && !s.autoFold && !s.spectator && !s.pendingBuyBack && s.chips > 0);
+  for (const w of waiters) {
+    const trial = [...active, w.seat].sort((a, b) => a - b);
+    if (active.length >= 2 && blindSeats(room, trial).bbSeat !== w.seat) continue;
+    w.sitOut = false; w.sittingOut = false; w.missedBB = false; w.missedSB = false;
+    logEvent(room, `\u21A9\uFE0F ${w.name} is back in on the big blind`);
+    return trial;
+  }
+  return active;
+}
+
+// Returning players who chose to pay: big blind live (counts toward their call), small blind dead.
+// Back in the small blind seat, that blind covers the missed one and the owed big blind goes in dead.
+function postMissedBlinds(room, active, sbSeat, bbSeat, lines) {
+  const st = currentBlinds(room);
+  active.forEach(i => {
+    const s = room.seats[i];
+    if (!s.missedBB && !s.missedSB) return;
+    const pay = s.postMissed && i !== bbSeat && active.length >= 3, inSB = i === sbSeat;
+    const live = pay && !inSB && s.missedBB ? Math.min(st.bb, s.chips) : 0;
+    const dead = !pay ? 0 : inSB ? (s.missedBB ? Math.min(st.bb, s.chips) : 0) : (s.missedSB ? Math.min(st.sb, s.chips - live) : 0);
+    s.missedBB = false; s.missedSB = false; s.postMissed = false;
+    if (!live && !dead) return;
+    s.chips -= live + dead; s.bet = Math.max(s.bet, live); s.totalBet += live + dead; room.G.pot += live + dead;
+    histAction(room, i, 'post_missed', live + dead, inSB ? 'dead bb' : dead ? 'dead' : null);
+    lines.push(`  MISSED BLINDS: ${s.name} (Seat ${i+1}) posts ${live ? `${fmtPounds(live)} live` : ''}${live && dead ? ' + ' : ''}${dead ? `${fmtPounds(dead)} dead` : ''} | Stack after: ${fmtPounds(s.chips)}`);
+  });
+}
+
 function checkRoundEnd(room) {
   const alive = room.seats.filter(s => s && !s.folded && !s.sittingOut && !s.spectator && !s.pendingBuyBack && !s.autoFold && !s.voluntaryAutoFold);
   if (alive.length <= 1) { endRound(room); return true; }
@@ -1160,10 +3278,11 @@ function checkRoundEnd(room) {
 function startNewHand(room) {
   clearActionTimer(room);
 
+
   // ── End game if no humans connected for BOT_ONLY_HAND_LIMIT hands ──────
   const BOT_ONLY_HAND_LIMIT = 5;
-  const humanPresent = room.seats.some(s =>
-    s && !s.isBot && !s.spectator && !s.pendingBuyBack &&
+  const humanPresent = tournamentTables(room).flatMap(r => r.seats).some(s =>
+    s && !s.isBot && !s.external && !s.spectator && !s.pendingBuyBack &&
     s.ws && s.ws.readyState === 1
   );
   if (humanPresent) {
@@ -1185,11 +3304,22 @@ function startNewHand(room) {
     }
   }
 
+  if (room.endRequested) { endSession(room); return; }
+
+  // ── Tournament break: hold the deal until the blind timer moves on ───────
+  if (onBlindBreak(room)) {
+    if (!room._heldForBreak) logEvent(room, '\u2615 On a break - the next hand is dealt when play resumes');
+    room._heldForBreak = true;
+    return;
+  }
+  room._heldForBreak = false;
   if (room.paused) { room.paused = false; broadcastAll(room, { type: 'gameResumed' }); }
-  room.actionTimerSeat = -1; room.actionTimerRemaining = ACTION_TIMEOUT; room.actionTimerStarted = 0;
+  room.actionTimerSeat = -1; room.actionTimerRemaining = ACTION_TIMEOUT; room.actionTimerStarted = 0; room.actionTimerBank = false;
 
   if (room.gameType === 'cash') {
     room.seats.forEach((s, i) => { if (s && s.pendingCashOut) executeCashOut(room, s); });
+  } else {
+    room.seats.forEach(s => { if (s && s.pendingTopUp) { const kind = s.pendingTopUp; s.pendingTopUp = null; topUp(room, s, kind); } });
   }
 
   const ABSENT_HAND_LIMIT = 3;
@@ -1207,50 +3337,70 @@ function startNewHand(room) {
         recordPlayerExit(room, s, 'evicted');
         broadcastAll(room, { type: 'playerLeft', id: s.id, name: s.name, seat: s.seat, reason: 'absent-eviction' });
         if (room.hostId === s.id) {
-          const newHost = room.seats.find(h => h && h.id !== s.id && h.ws?.readyState === 1);
+          const newHost = room.seats.find(h => canHost(h) && h.id !== s.id && h.ws?.readyState === 1);
           if (newHost) { room.hostId = newHost.id; send(newHost.ws, { type: 'logEvent', text: '\uD83D\uDC51 You are now the host.' }); }
           else { room.hostId = null; }
         }
         room.seats[idx] = null; broadcastAll(room, lobbySnapshot(room)); scheduleRoomCleanup(room);
       }
-    } else { s._missedHands = 0; s.sittingOut = false; }
+    } else { s._missedHands = 0; s.sittingOut = !!s.sitOut; }
   });
 
   room.seats.forEach(s => { if (s) ensurePlayerHistory(room, s); });
 
-  const active = activePlaying(room);
+  let active = activePlaying(room);
+  if (room.gameType !== 'tournament') active = admitBigBlindWaiters(room, active);
+  // A short tournament table waits for players to be moved in rather than ending
+  if (active.length < 2 && tournamentOf(room) && room.gameActive && (room._broken || liveTables(room).length > 1)) {
+    if (!room._awaitingPlayers && !room._broken) logEvent(room, '\u23F3 Waiting for players to be moved to this table');
+    room._awaitingPlayers = true; room.G = null;
+    broadcastState(room);
+    return;
+  }
   if (active.length < 2) {
     broadcastAll(room, { type: 'waitingForPlayers' });
     room.gameActive = false; stopBlindTimer(room); broadcastAll(room, lobbySnapshot(room)); return;
   }
 
+  if (room.pendingStakes && room.gameType !== 'tournament') applyStakes(room, room.pendingStakes);
   const blinds = currentBlinds(room);
-  const curSB = blinds.sb, curBB = blinds.bb;
+  const curSB = blinds.sb, curBB = blinds.bb, curAnte = blinds.ante || 0;
 
-  room.dealerSeat = room.dealerSeat < 0 ? active[0] : nextSeat(room.dealerSeat, active);
+  const { dealerSeat, sbSeat, bbSeat } = blindSeats(room, active);
+  room.dealerSeat = dealerSeat;
   room.handNum = (room.handNum || 0) + 1;
+  trackMissedBlinds(room, active, sbSeat, bbSeat);
+  if (timeBankOn(room)) room.seats.forEach(s => { if (s && s.timeBank == null) s.timeBank = room.timeBankSecs * 1000; });
+  if (room.timeBankEvery > 0 && room.handNum % room.timeBankEvery === 0) topUpTimeBanks(room);
 
   const isHeadsUp = active.length === 2;
-  const sbSeat = isHeadsUp ? room.dealerSeat : nextSeat(room.dealerSeat, active);
-  const bbSeat = nextSeat(sbSeat, active);
-  const preflopStart = nextSeat(bbSeat, active);
+  // Cash straddle: a 2 x BB blind that acts last preflop. UTG's straddle moves the first
+  // action one seat left; the button's leaves UTG first and the button closes the round.
+  const straddleSeat = straddleSeatFor(room, active, dealerSeat, bbSeat);
+  const preflopStart = nextSeat(straddleSeat >= 0 && straddleSeat !== dealerSeat ? straddleSeat : bbSeat, active);
   const logPath = handLogPath(room.id, room.handNum);
 
+  const fair = fairDeal(room, active);
   room.G = {
-    deck: buildDeck(), phase: 'preflop', pot: 0, currentBet: curBB, lastRaiseIncrement: curBB,
+    deck: fair.deck, phase: 'preflop', pot: 0, currentBet: curBB, lastRaiseIncrement: curBB,
     community: [], toAct: [], sbSeat, bbSeat, isHeadsUp, logPath, curSB, curBB,
-    firstRaiseAction: true
+    firstRaiseAction: true, raiseCount: 1, history: newHandHistory(room, active, blinds),
+    fair: { serverSeed: fair.serverSeed, commit: fair.commit, clientSeeds: fair.clientSeeds }
   };
+  room.G.history.sbSeat = sbSeat; room.G.history.bbSeat = bbSeat; room.G.history.straddleSeat = straddleSeat >= 0 ? straddleSeat : null;
   room.seats.forEach(s => { if (s) { s.cards = []; s.bet = 0; s.folded = false; s.totalBet = 0; } });
+  accountHandsPlayed(room, active);
+  modelHandStart(room, active);
 
   const dealStartSeat = isHeadsUp ? bbSeat : sbSeat;
   const dsIdx = active.indexOf(dealStartSeat);
   const dealOrder = dsIdx >= 0 ? [...active.slice(dsIdx), ...active.slice(0, dsIdx)] : active;
+  room.G.history.fair = { commit: fair.commit, clientSeeds: fair.clientSeeds, dealOrder, serverSeed: null };
 
   const now = new Date();
   const blindTag = room.gameType === 'tournament'
-    ? `Level ${room.blindLevel + 1} | SB/BB \u00a3${(curSB/100).toFixed(2)}/\u00a3${(curBB/100).toFixed(2)}`
-    : `SB \u00a3${(curSB/100).toFixed(2)} / BB \u00a3${(curBB/100).toFixed(2)}`;
+    ? `Level ${blindLevelNumber(room)} | SB/BB \u00a3${(curSB/100).toFixed(2)}/\u00a3${(curBB/100).toFixed(2)}${curAnte ? ` | Ante \u00a3${(curAnte/100).toFixed(2)}` : ''}`
+    : `SB \u00a3${(curSB/100).toFixed(2)} / BB \u00a3${(curBB/100).toFixed(2)}${curAnte ? ` | Ante \u00a3${(curAnte/100).toFixed(2)}` : ''}${straddleSeat >= 0 ? ' | Straddle' : ''}`;
 
   const playerLines = active.map(i => {
     const s = room.seats[i];
@@ -1262,21 +3412,48 @@ function startNewHand(room) {
     return `  Seat ${String(i+1).padStart(2)} | ${s.name.padEnd(18)} | ${fmtPounds(s.chips).padStart(8)}${tags.length?' ['+tags.join('+')+']':''} | IP: ${s.ip || 'unknown'}`;
   }).join('\n');
 
-  // ── Post blinds ────────────────────────────────────────────────────────────
-  room.seats[sbSeat].chips -= curSB; room.seats[sbSeat].bet = curSB; room.seats[sbSeat].totalBet = curSB;
-  room.seats[bbSeat].chips -= curBB; room.seats[bbSeat].bet = curBB; room.seats[bbSeat].totalBet = curBB;
-  room.G.pot = curSB + curBB;
+  // ── Post antes, then blinds (dead money - antes never count toward a call) ─
+  const preDealBuffer = [];
+  if (curAnte > 0) {
+    preDealBuffer.push(`ANTES POSTED (${fmtPounds(curAnte)} each)`);
+    active.forEach(i => {
+      const s = room.seats[i], ante = Math.min(curAnte, s.chips);
+      s.chips -= ante; s.totalBet += ante; room.G.pot += ante;
+      histAction(room, i, 'post_ante', ante);
+      preDealBuffer.push(`  ${s.name} (Seat ${i+1}) posts ${fmtPounds(ante)}${s.chips === 0 ? ' [ALL-IN]' : ''}`);
+    });
+  }
+  const postSB = Math.min(curSB, room.seats[sbSeat].chips), postBB = Math.min(curBB, room.seats[bbSeat].chips);
+  room.seats[sbSeat].chips -= postSB; room.seats[sbSeat].bet = postSB; room.seats[sbSeat].totalBet += postSB;
+  room.seats[bbSeat].chips -= postBB; room.seats[bbSeat].bet = postBB; room.seats[bbSeat].totalBet += postBB;
+  room.G.pot += postSB; histAction(room, sbSeat, 'post_sb', postSB);
+  room.G.pot += postBB; histAction(room, bbSeat, 'post_bb', postBB);
+  let postStraddle = 0;
+  if (straddleSeat >= 0) {
+    const st = room.seats[straddleSeat];
+    postStraddle = Math.min(curBB * 2, st.chips);
+    st.chips -= postStraddle; st.bet = postStraddle; st.totalBet += postStraddle;
+    room.G.pot += postStraddle; histAction(room, straddleSeat, 'post_straddle', postStraddle);
+    if (postStraddle > curBB) {
+      room.G.currentBet = postStraddle; room.G.lastRaiseIncrement = postStraddle; room.G.firstRaiseAction = false;
+    }
+  }
+  const missedLines = [];
+  if (room.gameType !== 'tournament') postMissedBlinds(room, active, sbSeat, bbSeat, missedLines);
   room._chipsInPlayAtHandStart = room.seats.filter(Boolean).reduce((sum, s) => sum + s.chips, 0) + room.G.pot;
 
-  const preDealBuffer = [];
   preDealBuffer.push(`BLINDS POSTED`);
-  preDealBuffer.push(`  SB: ${room.seats[sbSeat].name} (Seat ${sbSeat+1}) posts ${fmtPounds(curSB)} | Stack after: ${fmtPounds(room.seats[sbSeat].chips)}`);
-  preDealBuffer.push(`  BB: ${room.seats[bbSeat].name} (Seat ${bbSeat+1}) posts ${fmtPounds(curBB)} | Stack after: ${fmtPounds(room.seats[bbSeat].chips)}`);
+  preDealBuffer.push(`  SB: ${room.seats[sbSeat].name} (Seat ${sbSeat+1}) posts ${fmtPounds(postSB)} | Stack after: ${fmtPounds(room.seats[sbSeat].chips)}`);
+  preDealBuffer.push(`  BB: ${room.seats[bbSeat].name} (Seat ${bbSeat+1}) posts ${fmtPounds(postBB)} | Stack after: ${fmtPounds(room.seats[bbSeat].chips)}`);
+  if (straddleSeat >= 0) preDealBuffer.push(`  STRADDLE: ${room.seats[straddleSeat].name} (Seat ${straddleSeat+1}) posts ${fmtPounds(postStraddle)} | Stack after: ${fmtPounds(room.seats[straddleSeat].chips)}`);
+  preDealBuffer.push(...missedLines);
   preDealBuffer.push(`  Pot: ${fmtPounds(room.G.pot)}`);
   preDealBuffer.push('');
 
   // ── Deal hole cards ────────────────────────────────────────────────────────
-  for (let rd = 0; rd < 2; rd++) for (const si of dealOrder) room.seats[si].cards.push(room.G.deck.shift());
+  const holeCards = VARIANTS[roomVariant(room)].holeCards;
+  for (let rd = 0; rd < holeCards; rd++) for (const si of dealOrder) room.seats[si].cards.push(room.G.deck.shift());
+  room.G.history.players.forEach(pl => { pl.cards = [...room.seats[pl.seat].cards]; });
 
   // ── Build hole card lines ──────────────────────────────────────────────────
   const holeCardLines = [];
@@ -1302,7 +3479,7 @@ function startNewHand(room) {
     `\u2551  Room: ${room.id.padEnd(10)} Hand: #${String(room.handNum).padEnd(6)} ${now.toLocaleDateString('en-GB').padEnd(14)}\u2551\n` +
     `\u2551  Time: ${now.toLocaleTimeString('en-GB').padEnd(62)}\u2551\n\u2560` + '\u2550'.repeat(70) + '\u2563\n\u2551  PLAYERS\u2551\n\u2560' + '\u2550'.repeat(70) + '\u2563\n' +
     playerLines.split('\n').map(l => '\u2551' + l.padEnd(71) + '\u2551').join('\n') + '\n\u2560' + '\u2550'.repeat(70) + '\u2563\n' +
-    `\u2551  ${isHeadsUp ? 'HEADS-UP' : active.length+'-handed'} | ${blindTag}`.padEnd(71) + '\u2551\n' +
+    `\u2551  ${gameLabel(room)} | ${isHeadsUp ? 'HEADS-UP' : active.length+'-handed'} | ${blindTag}`.padEnd(71) + '\u2551\n' +
     `\u2551  Dealer: Seat ${String(room.dealerSeat+1).padStart(2)} (${(room.seats[room.dealerSeat]?.name || '?').padEnd(18)})`.padEnd(71) + '\u2551\n' +
     `\u2551  SB:     Seat ${String(sbSeat+1).padStart(2)} (${(room.seats[sbSeat]?.name || '?').padEnd(18)})`.padEnd(71) + '\u2551\n' +
     `\u2551  BB:     Seat ${String(bbSeat+1).padStart(2)} (${(room.seats[bbSeat]?.name || '?').padEnd(18)})`.padEnd(71) + '\u2551\n' +
@@ -1312,7 +3489,7 @@ function startNewHand(room) {
     + preDealBuffer.map(l => `[${ts}] ${l}\n`).join('')
     + holeCardLines.map(l => `[${ts}] ${l}\n`).join('');
 
-  try {
+  if (logPath) try {
     fs.writeFileSync(logPath, initialContent);
     svrLog(`LOG CREATED: ${path.basename(logPath)}`);
   } catch (err) {
@@ -1330,23 +3507,26 @@ function startNewHand(room) {
   writeLog(room, 'PREFLOP ACTION:');
 
   // ── Auto-fold any voluntary-auto-fold players ──────────────────────────────
-  room.G.toAct = buildActOrder(room, preflopStart, active);
+  room.G.toAct = buildActOrder(room, preflopStart, active, straddleSeat);
   active.forEach(i => {
     const s = room.seats[i];
     if (s && s.voluntaryAutoFold && !s.folded) {
       s.folded = true;
+      histAction(room, i, 'fold', 0, 'auto-fold');
       writeLog(room, `  AUTO-FOLD: ${s.name} (Seat ${i+1})`);
       broadcastAll(room, { type: 'playerAction', seat: i, action: 'fold', amount: 0, name: s.name + ' (auto-fold)' });
     }
   });
 
   broadcastAll(room, {
-    type: 'newHand', dealerSeat: room.dealerSeat, sbSeat, bbSeat,
-    pot: room.G.pot, activeSeats: dealOrder, bb: curBB, sb: curSB,
-    blindLevel: room.blindLevel, gameType: room.gameType,
+    type: 'newHand', dealerSeat: room.dealerSeat, sbSeat, bbSeat, straddleSeat, straddle: postStraddle,
+    pot: room.G.pot, activeSeats: dealOrder, bb: curBB, sb: curSB, ante: curAnte,
+    blindLevel: room.gameType === 'tournament' ? blindLevelNumber(room) - 1 : 0, gameType: room.gameType, variant: roomVariant(room), betting: roomBetting(room),
+    handNum: room.handNum, commit: fair.commit,
   });
+  broadcastSeats(room, { type: 'fairCommit', hand: room.handNum + 1, commit: fairCommit(room) });
 
-  room.seats.forEach(s => { if (s?.ws?.readyState === 1) send(s.ws, tableSnapshot(room, s.id)); });
+  broadcastState(room);
   promptToAct(room);
 }
 
@@ -1359,7 +3539,7 @@ function promptToAct(room) {
   const activeInHand = room.seats.filter(s => s && !s.folded && !s.sittingOut && !s.spectator && !s.pendingBuyBack && !s.autoFold && !s.voluntaryAutoFold);
   if (activeInHand.length <= 1) {
     room.seats.filter(s => s && !s.folded && !s.sittingOut && !s.spectator && !s.pendingBuyBack && (s.autoFold || s.voluntaryAutoFold)).forEach(af => {
-      if (!af.folded) { af.folded = true; const label = af.voluntaryAutoFold ? 'auto-fold' : 'auto (disconnected)'; broadcastAll(room, { type: 'playerAction', seat: af.seat, action: 'fold', amount: 0, name: af.name + ` (${label})` }); const idx = G.toAct.indexOf(af.seat); if (idx !== -1) G.toAct.splice(idx, 1); }
+      if (!af.folded) { af.folded = true; const label = af.voluntaryAutoFold ? 'auto-fold' : 'auto (disconnected)'; histAction(room, af.seat, 'fold', 0, label); broadcastAll(room, { type: 'playerAction', seat: af.seat, action: 'fold', amount: 0, name: af.name + ` (${label})` }); const idx = G.toAct.indexOf(af.seat); if (idx !== -1) G.toAct.splice(idx, 1); }
     });
     broadcastState(room); endRound(room); return;
   }
@@ -1376,10 +3556,12 @@ function promptToAct(room) {
   // ── Bot: server decides action internally
   if (p.isBot) { scheduleBotAction(room, seat); return; }
   const callAmt = Math.min(G.currentBet - p.bet, p.chips);
-  const raiseIncrement = G.firstRaiseAction ? G.curBB : G.lastRaiseIncrement;
-  const minRaise = Math.min(callAmt + raiseIncrement, p.chips);
+  const limits = raiseLimits(room, p);
   const firstBet = G.currentBet === 0;
-  broadcastAll(room, { type: 'yourTurn', seat, callAmt, minRaise, pot: G.pot, currentBet: G.currentBet, firstBet });
+  broadcastAll(room, { type: 'yourTurn', seat, callAmt, minRaise: limits?.min ?? null, maxRaise: limits?.max ?? null,
+    canRaise: !!limits, betting: roomBetting(room), pot: G.pot, currentBet: G.currentBet, firstBet,
+    timeBank: timeBankOn(room) ? p.timeBank ?? room.timeBankSecs * 1000 : 0 });
+  if (p.external) send(p.ws, legalActions(room, p));
   startActionTimer(room, seat);
 }
 
@@ -1391,6 +3573,8 @@ function doFold(room, seat, reason) {
   const G = room.G;
   const potStr = G ? ` | Pot: ${fmtPounds(G.pot)}` : '';
   const stackStr = ` | Stack: ${fmtPounds(p.chips)}`;
+  histAction(room, seat, 'fold', 0, reason);
+  if (!reason) modelAction(room, seat, 'fold');
   writeLog(room, `  FOLD: ${p.name} (Seat ${seat+1})${label}${stackStr}${potStr}`);
   if (G) { const idx = G.toAct.indexOf(seat); if (idx !== -1) G.toAct.splice(idx, 1); }
   broadcastState(room);
@@ -1400,11 +3584,14 @@ function doFold(room, seat, reason) {
 function handleAction(room, seat, action, amount) {
   const p = room.seats[seat]; const G = room.G;
   if (!p || !G) return;
+  if (action === 'raise' && !raiseLimits(room, p)) action = 'call';   // street is capped
   if (action === 'fold') { doFold(room, seat, null); }
   else if (action === 'check' || action === 'call') {
     const ca = Math.min(G.currentBet - p.bet, p.chips);
     p.chips -= ca; p.bet += ca; p.totalBet = (p.totalBet||0) + ca; G.pot += ca;
     const act = ca === 0 ? 'check' : 'call';
+    histAction(room, seat, act, ca);
+    modelAction(room, seat, act);
     broadcastAll(room, { type: 'playerAction', seat, action: act, amount: ca, name: p.name, pot: G.pot });
     if (act === 'check') {
       writeLog(room, `  CHECK: ${p.name} (Seat ${seat+1}) | Stack: ${fmtPounds(p.chips)} | Pot: ${fmtPounds(G.pot)}`);
@@ -1414,40 +3601,50 @@ function handleAction(room, seat, action, amount) {
     }
     broadcastState(room); G.toAct.shift(); setTimeout(() => promptToAct(room), 200);
   } else if (action === 'raise') {
-    const callAmount = G.currentBet - p.bet;
-    const raiseIncrement = G.firstRaiseAction ? G.curBB : G.lastRaiseIncrement;
-    const minFromStack = Math.min(callAmount + raiseIncrement, p.chips);
-    const raiseFromStack = Math.min(Math.max(amount || minFromStack, minFromStack), p.chips);
+    const { min: minFromStack, max: maxFromStack } = raiseLimits(room, p);
+    const raiseFromStack = Math.min(Math.max(amount || minFromStack, minFromStack), maxFromStack);
     const prevCurrentBet = G.currentBet;
     p.chips -= raiseFromStack; p.bet += raiseFromStack; p.totalBet = (p.totalBet||0) + raiseFromStack; G.pot += raiseFromStack;
     G.currentBet = Math.max(G.currentBet, p.bet);
     if (G.currentBet > prevCurrentBet) {
       G.lastRaiseIncrement = G.currentBet - prevCurrentBet;
       G.firstRaiseAction = false;
+      G.raiseCount++;
     }
     const allIn = p.chips === 0 ? ' [ALL-IN]' : '';
+    histAction(room, seat, prevCurrentBet === 0 ? 'bet' : 'raise', raiseFromStack);
+    modelAction(room, seat, prevCurrentBet === 0 ? 'bet' : 'raise');
     broadcastAll(room, { type: 'playerAction', seat, action: 'raise', amount: raiseFromStack, name: p.name, pot: G.pot });
     writeLog(room, `  RAISE: ${p.name} (Seat ${seat+1}) | Amount: ${fmtPounds(raiseFromStack)} | Total bet: ${fmtPounds(p.bet)} | Stack: ${fmtPounds(p.chips)}${allIn} | Pot: ${fmtPounds(G.pot)}`);
     broadcastState(room);
+    // Clockwise from the raiser's left - an all-in raiser is no longer in activePlaying, so don't index into it
     const active = activePlaying(room).sort((a, b) => a - b);
-    const raiserIdx = active.indexOf(seat);
-    const rotated = raiserIdx >= 0 ? [...active.slice(raiserIdx + 1), ...active.slice(0, raiserIdx + 1)] : active;
+    const rotated = [...active.filter(i => i > seat), ...active.filter(i => i < seat)];
     G.toAct = rotated.filter(i => { if (i === seat) return false; const op = room.seats[i]; return op && !op.folded && !op.autoFold && !op.voluntaryAutoFold && op.chips > 0 && op.bet < G.currentBet; });
     setTimeout(() => promptToAct(room), 200);
   }
 }
 
-function broadcastState(room) { room.seats.forEach(s => { if (s?.ws?.readyState === 1) send(s.ws, tableSnapshot(room, s.id)); }); }
+function broadcastState(room) {
+  room.seats.forEach(s => { if (s?.ws?.readyState === 1) send(s.ws, tableSnapshot(room, s.id)); });
+  broadcastViewers(room, tableSnapshot(room, null));
+}
 
 function advPhase(room) {
   const G = room.G; clearActionTimer(room);
   room.seats.forEach(s => { if (s) s.bet = 0; }); G.currentBet = 0; G.lastRaiseIncrement = G.curBB || BB;
-  G.firstRaiseAction = true;
+  G.firstRaiseAction = true; G.raiseCount = 0;
   const next = { preflop: 'flop', flop: 'turn', turn: 'river' };
+  if (G.phase in next && G.runTwice === undefined && (room.gameType || 'cash') === 'cash') {
+    const players = runoutPlayers(room);
+    if (players.length >= 2 && players.filter(p => p.chips > 0).length <= 1) { offerRunItTwice(room); return; }
+  }
   if (G.phase in next) {
     const prevPhase = G.phase; G.phase = next[G.phase];
+    if (G.phase === 'flop') modelFlop(room);
     const count = G.phase === 'flop' ? 3 : 1; const newCards = [];
     for (let i = 0; i < count; i++) { const c = G.deck.shift(); G.community.push(c); newCards.push(c); }
+    if (G.history) G.history.streets.push({ phase: G.phase, cards: newCards, board: [...G.community], pot: G.pot });
 
     writeLog(room, '');
     writeLog(room, '─'.repeat(70));
@@ -1486,6 +3683,68 @@ function advPhase(room) {
   } else { G.phase = 'showdown'; showdown(room); }
 }
 
+// ── Run it twice. ─────────────────────────────────────────────────────────────
+// Betting closed before the river in a cash game: everyone still in is asked, and
+// if all agree the rest of the board is dealt a second time from the same base.
+// finish() then splits each pot in half, one half per board.
+const RUN_IT_TWICE_MS = 8000;
+
+function runoutPlayers(room) {
+  return room.seats.filter(s => s && !s.folded && !s.sittingOut && !s.spectator && !s.pendingBuyBack && !s.autoFold && !s.voluntaryAutoFold);
+}
+
+function offerRunItTwice(room) {
+  const G = room.G, players = runoutPlayers(room);
+  G.runTwice = { votes: {}, agreed: false, settled: false };
+  players.forEach(s => {
+    if (s.isBot) G.runTwice.votes[s.id] = true;   // bots always take the lower variance
+    else send(s.ws, { type: 'runItTwiceOffer', ms: RUN_IT_TWICE_MS, players: players.map(p => p.name) });
+  });
+  writeLog(room, `RUN IT TWICE? Offered to ${players.map(p => p.name).join(', ')}`);
+  logEvent(room, '\u2194\uFE0F All in - run it twice?');
+  G.runTwice.timer = setTimeout(() => settleRunItTwice(room), RUN_IT_TWICE_MS);
+  if (players.every(s => G.runTwice.votes[s.id])) settleRunItTwice(room);
+}
+
+function voteRunItTwice(room, s, agree) {
+  const rt = room.G?.runTwice;
+  if (!rt || rt.settled || !runoutPlayers(room).includes(s)) return;
+  rt.votes[s.id] = agree;
+  writeLog(room, `  ${s.name} ${agree ? 'agrees to' : 'declines'} run it twice`);
+  if (!agree || runoutPlayers(room).every(p => rt.votes[p.id])) settleRunItTwice(room);
+}
+
+function settleRunItTwice(room) {
+  const G = room.G, rt = G?.runTwice;
+  if (!rt || rt.settled) return;
+  rt.settled = true; clearTimeout(rt.timer); rt.timer = null;
+  rt.agreed = runoutPlayers(room).every(s => rt.votes[s.id] === true);
+  if (rt.agreed) rt.base = [...G.community];
+  else G.runTwice = null;
+  writeLog(room, rt.agreed ? 'RUN IT TWICE: agreed - two boards' : 'RUN IT TWICE: not agreed - one board');
+  logEvent(room, rt.agreed ? '\u2194\uFE0F Running it twice' : 'Running it once');
+  broadcastAll(room, { type: 'runItTwice', agreed: rt.agreed });
+  setTimeout(() => advPhase(room), 600);
+}
+
+function dealSecondBoard(room) {
+  const G = room.G, rt = G.runTwice, streets = [];
+  rt.board = [...rt.base];
+  while (rt.board.length < 5) {
+    const phase = rt.board.length === 0 ? 'flop' : rt.board.length === 3 ? 'turn' : 'river';
+    const cards = G.deck.splice(0, phase === 'flop' ? 3 : 1);
+    rt.board.push(...cards);
+    streets.push({ phase, cards, board: [...rt.board] });
+  }
+  if (G.history) { G.history.runTwice = true; G.history.streets2 = streets; }
+  writeLog(room, '');
+  writeLog(room, '─'.repeat(70));
+  writeLog(room, `SECOND BOARD: ${fmtCards(rt.board.slice(rt.base.length))}`);
+  writeLog(room, `  Board 1: ${fmtCards(G.community)}`);
+  writeLog(room, `  Board 2: ${fmtCards(rt.board)}`);
+  broadcastAll(room, { type: 'secondBoard', cards: rt.board, base: rt.base.length });
+}
+
 function endRound(room) {
   clearActionTimer(room);
   const remaining = room.seats.filter(s => s && !s.folded && !s.sittingOut && !s.spectator && !s.pendingBuyBack && !s.autoFold && !s.voluntaryAutoFold);
@@ -1504,14 +3763,15 @@ function showdown(room) {
   const active = room.seats.filter(s => s && !s.folded && !s.sittingOut && !s.spectator && !s.pendingBuyBack && !s.autoFold && !s.voluntaryAutoFold);
   if (active.length === 1) { finish(room, [active[0]], 'Last player standing'); return; }
   if (active.length === 0) { setTimeout(() => startNewHand(room), 3000); return; }
+  const rt = room.G.runTwice;
+  if (rt && rt.agreed && !rt.board) dealSecondBoard(room);
   broadcastAll(room, { type: 'showdown', reveals: active.map(s => ({ seat: s.seat, name: s.name, cards: s.cards })) });
   broadcastState(room);
 
   let bestScore = -1;
   const scored = active.map(p => {
-    const allCards = [...p.cards, ...room.G.community];
-    const sc = evalBest(allCards);
-    const bf = bestFiveCards(allCards);
+    const sc = evalHole(p.cards, room.G.community);
+    const bf = bestHoleFive(p.cards, room.G.community);
     if (sc > bestScore) bestScore = sc;
     return { p, sc, bf };
   });
@@ -1519,6 +3779,7 @@ function showdown(room) {
   writeLog(room, '');
   writeLog(room, '─'.repeat(70));
   writeLog(room, `SHOWDOWN | Board: ${fmtCards(room.G.community)} | Pot: ${fmtPounds(room.G.pot)}`);
+  if (room.G.history) room.G.history.showdown = scored.map(({ p, sc, bf }) => ({ seat: p.seat, name: p.name, cards: p.cards, best: bf, hand: handName(sc), winner: sc === bestScore }));
   writeLog(room, '');
   scored.forEach(({ p, sc, bf }) => {
     const bestHandStr = fmtCards(bf);
@@ -1536,14 +3797,71 @@ function showdown(room) {
   } else {
     writeLog(room, `WINNER: ${winners[0].name} (Seat ${winners[0].seat+1}) | Hand: ${winHandName} | Pot: ${fmtPounds(room.G.pot)}`);
   }
+  if (rt && rt.board) {
+    const scored2 = active.map(p => ({ p, sc: evalHole(p.cards, rt.board), bf: bestHoleFive(p.cards, rt.board) }));
+    const best2 = Math.max(...scored2.map(x => x.sc));
+    writeLog(room, '');
+    writeLog(room, `SHOWDOWN (BOARD 2) | Board: ${fmtCards(rt.board)}`);
+    scored2.forEach(({ p, sc, bf }) => writeLog(room, `  Seat ${String(p.seat+1).padStart(2)} | ${p.name.padEnd(18)} | Best 5: ${fmtCards(bf)} | Hand: ${handName(sc)}${sc === best2 ? ' *** WINNER ***' : ''}`));
+    if (room.G.history) room.G.history.showdown2 = scored2.map(({ p, sc, bf }) => ({ seat: p.seat, name: p.name, best: bf, hand: handName(sc), winner: sc === best2 }));
+    rt.winners = scored2.filter(x => x.sc === best2).map(x => x.p); rt.label = handName(best2);
+    writeLog(room, `WINNER (BOARD 2): ${rt.winners.map(w => w.name).join(' & ')} | Hand: ${rt.label}`);
+  }
   setTimeout(() => finish(room, winners, winHandName), 1200);
 }
 
+// Knock out tournament players on zero: placings, prizes and, with one left, the result.
+// Returns true once the tournament is over.
+function eliminatePlayers(room, busted) {
+  const tables = tournamentTables(room);   // places count across every table
+  const remainingActive = tables.reduce((n, r) => n + playersLeft(r).length, 0);
+  const totalPlayers = remainingActive + busted.length + (room.tournamentPlacement || []).length;
+  const place = remainingActive + 1, prizes = tiedPrizes(room, place, busted.length);
+  busted.forEach((s, i) => {
+    const prize = prizes[i];
+    s.spectator = true; s.sittingOut = true;
+    if (!room.tournamentPlacement) room.tournamentPlacement = [];
+    room.tournamentPlacement.push({ id: s.id, name: s.name, place, prize });
+    accountRecordFinish(room, s, place, totalPlayers, prize);
+    recordPlayerExit(room, s, 'bust');
+    writeLog(room, `TOURNAMENT ELIMINATION: ${s.name} (Seat ${s.seat+1}) | Place: ${place}${prize ? ` | Prize: ${fmtPounds(prize)}` : ''} | IP: ${s.ip || 'unknown'}`);
+    logEvent(room, `\uD83C\uDFC6 ${s.name} has been eliminated (place ${place})${prize ? ` - wins ${fmtPounds(prize)}` : ''}`);
+    send(s.ws, { type: 'tournamentEliminated', place, prize, totalPlayers, placement: room.tournamentPlacement });
+  });
+  tables.forEach(r => broadcastAll(r, { type: 'tournamentEliminatedBroadcast', placement: room.tournamentPlacement }));
+  broadcastState(room);
+
+  const stillIn = tables.flatMap(playersLeft);
+  if (stillIn.length === 1) {
+    const champion = stillIn[0];
+    writeLog(room, '');
+    writeLog(room, '═'.repeat(70));
+    writeLog(room, `TOURNAMENT WINNER: ${champion.name} (Seat ${champion.seat+1}) | IP: ${champion.ip || 'unknown'}`);
+    writeLog(room, '═'.repeat(70));
+    logEvent(room, `\uD83C\uDFC6 TOURNAMENT OVER - Winner: ${champion.name}`);
+    const prize = prizeTable(room)[0] || 0;
+    room.tournamentPlacement.push({ id: champion.id, name: champion.name, place: 1, prize });
+    accountRecordFinish(room, champion, 1, room.tournamentPlacement.length, prize);
+    settlePrizes(room);
+    writeLog(room, '');
+    prizeLines(room).forEach(l => writeLog(room, l));
+    const results = { prizePool: prizePool(room), buyIn: room.tournamentBuyIn || 0, entrants: room.tournamentEntrants, rebuyFees: rebuyFees(room) };
+    tables.forEach(r => {
+      if (r !== room) logEvent(r, `\uD83C\uDFC6 TOURNAMENT OVER - Winner: ${champion.name}`);
+      broadcastAll(r, { type: 'tournamentOver', winner: champion.name, winnerSeat: r === room ? champion.seat : -1, placement: room.tournamentPlacement, ...results });
+      stopBlindTimer(r); r.gameActive = false;
+    });
+    return true;
+  }
+  return false;
+}
+
 function finish(room, winners, label) {
   if (!winners || winners.length === 0) return;
   clearActionTimer(room);
   const G = room.G, totalPot = G.pot; G.pot = 0;
   const allSeats = room.seats.filter(Boolean);
+  modelShowdown(room, winners);
   const contributors = allSeats.filter(s => (s.totalBet||0) > 0).sort((a, b) => (a.totalBet||0) - (b.totalBet||0));
   const potLevels = []; let alreadyTaken = 0;
   for (let i = 0; i < contributors.length; i++) {
@@ -1554,6 +3872,7 @@ function finish(room, winners, label) {
   }
   const levelTotal = potLevels.reduce((sum, l) => sum + l.amount, 0);
   if (levelTotal !== totalPot && potLevels.length > 0) potLevels[potLevels.length - 1].amount += (totalPot - levelTotal);
+  if (G.history) G.history.pots = potLevels.map(lv => ({ amount: lv.amount, cap: lv.cap, eligible: allSeats.filter(s => lv.eligibleIds.has(s.id)).map(s => s.seat) }));
 
   if (potLevels.length > 1) {
     writeLog(room, '');
@@ -1564,15 +3883,32 @@ function finish(room, winners, label) {
     });
   }
 
+  // Run twice: each pot is halved (odd chip to board 1) and each half goes to that board's winners
+  const rt = G.runTwice && G.runTwice.winners ? G.runTwice : null;
+  const units = rt
+    ? potLevels.flatMap((lv, li) => [
+        { ...lv, li, amount: lv.amount - Math.floor(lv.amount / 2), winners, label: `${label} (board 1)` },
+        { ...lv, li, amount: Math.floor(lv.amount / 2), winners: rt.winners, label: `${rt.label} (board 2)`, board: rt.board }])
+    : potLevels.map((lv, li) => ({ ...lv, li, winners, label }));
+  // The showdown winner isn't in every side pot - then the best hand among those who are takes it
+  units.forEach(level => {
+    level.ew = level.winners.filter(w => level.eligibleIds.has(w.id));
+    if (level.ew.length) return;
+    const board = level.board || G.community;
+    const scored = allSeats.filter(s => !s.folded && !s.autoFold && !s.voluntaryAutoFold && level.eligibleIds.has(s.id))
+      .map(s => ({ s, sc: evalHole(s.cards, board) }));
+    if (!scored.length) return;
+    const top = Math.max(...scored.map(x => x.sc));
+    level.ew = scored.filter(x => x.sc === top).map(x => x.s);
+    level.label = `${handName(top)}${rt ? (level.board ? ' (board 2)' : ' (board 1)') : ''}`;
+  });
+  if (rt) writeLog(room, `RUN TWICE: each pot split between board 1 (${winners.map(w => w.name).join(' & ')}) and board 2 (${rt.winners.map(w => w.name).join(' & ')})`);
+
   let totalAwarded = 0;
-  potLevels.forEach((level, li) => {
+  units.forEach(level => {
     if (level.amount <= 0) return;
-    const eligibleWinners = winners.filter(w => level.eligibleIds.has(w.id));
-    if (eligibleWinners.length === 0) {
-      const eligible = allSeats.filter(s => !s.folded && !s.autoFold && !s.voluntaryAutoFold && level.eligibleIds.has(s.id));
-      if (eligible.length > 0) { eligible[0].chips += level.amount; totalAwarded += level.amount; }
-      return;
-    }
+    const eligibleWinners = level.ew;
+    if (eligibleWinners.length === 0) return;
     if (eligibleWinners.length === 1) { eligibleWinners[0].chips += level.amount; totalAwarded += level.amount; }
     else {
       const perPlayer = Math.floor(level.amount / eligibleWinners.length), remainder = level.amount - perPlayer * eligibleWinners.length;
@@ -1580,19 +3916,25 @@ function finish(room, winners, label) {
     }
   });
   const returned = totalPot - totalAwarded;
-  if (returned > 0) { const oc = allSeats.filter(s => !s.folded && !s.autoFold && !s.voluntaryAutoFold).sort((a, b) => (b.totalBet||0) - (a.totalBet||0))[0]; if (oc) oc.chips += returned; }
+  if (returned > 0) {
+    const oc = allSeats.filter(s => !s.folded && !s.autoFold && !s.voluntaryAutoFold).sort((a, b) => (b.totalBet||0) - (a.totalBet||0))[0];
+    if (oc) { oc.chips += returned; if (G.history) G.history.awards.push({ pot: null, seat: oc.seat, name: oc.name, amount: returned, label: 'Returned' }); }
+  }
 
-  potLevels.forEach((level, li) => {
+  units.forEach(level => {
     if (level.amount <= 0) return;
-    const ew = winners.filter(w => level.eligibleIds.has(w.id));
+    const li = level.li, label = level.label;
+    const ew = level.ew;
     if (ew.length === 1) {
       writeLog(room, `  POT AWARDED: ${fmtPounds(level.amount)} -> ${ew[0].name} (Seat ${ew[0].seat+1}) | ${label}`);
+      if (G.history) G.history.awards.push({ pot: li, seat: ew[0].seat, name: ew[0].name, amount: level.amount, label });
       broadcastAll(room, { type: 'winner', seat: ew[0].seat, name: ew[0].name, amount: level.amount, label });
     } else if (ew.length > 1) {
       const pp = Math.floor(level.amount / ew.length), rem = level.amount - pp * ew.length;
       ew.sort((a,b)=>a.seat-b.seat).forEach((w,i) => {
         const share = pp+(i===0?rem:0);
         writeLog(room, `  POT SPLIT: ${fmtPounds(share)} -> ${w.name} (Seat ${w.seat+1}) | Split - ${label}`);
+        if (G.history) G.history.awards.push({ pot: li, seat: w.seat, name: w.name, amount: share, label: `Split - ${label}` });
         broadcastAll(room, { type: 'winner', seat: w.seat, name: w.name, amount: share, label: `Split - ${label}` });
       });
     }
@@ -1611,46 +3953,32 @@ function finish(room, winners, label) {
   broadcastState(room);
   writeGameSummary(room);
   const logPath = room.G.logPath;
+  queueViewerReveal(room, revealSeed(room));
+  const histPath = writeHandHistory(room);
   if (logPath) setTimeout(() => ftpUpload(logPath), 500);
+  if (histPath) setTimeout(() => ftpUpload(histPath), 700);
+  saveRooms();
 
+  // A rebuy queued during the hand is what saves a player who then busts in it
+  if (room.gameType === 'tournament') room.seats.forEach(s => { if (s && s.pendingTopUp && s.chips <= 0) { const kind = s.pendingTopUp; s.pendingTopUp = null; topUp(room, s, kind); } });
   const busted = room.seats.filter(s => s && s.chips <= 0 && !s.pendingBuyBack && !s.spectator);
 
   if (room.gameType === 'tournament') {
-    if (busted.length > 0) {
-      const remainingActive = room.seats.filter(s => s && !s.spectator && s.chips > 0).length;
-      const totalPlayers = remainingActive + busted.length + (room.tournamentPlacement || []).length;
-      busted.forEach(s => {
-        s.spectator = true; s.sittingOut = true;
-        const place = remainingActive + 1;
-        if (!room.tournamentPlacement) room.tournamentPlacement = [];
-        room.tournamentPlacement.push({ id: s.id, name: s.name, place });
-        recordPlayerExit(room, s, 'bust');
-        writeLog(room, `TOURNAMENT ELIMINATION: ${s.name} (Seat ${s.seat+1}) | Place: ${place} | IP: ${s.ip || 'unknown'}`);
-        logEvent(room, `\uD83C\uDFC6 ${s.name} has been eliminated (place ${place})`);
-        send(s.ws, { type: 'tournamentEliminated', place, totalPlayers, placement: room.tournamentPlacement });
-      });
-      broadcastAll(room, { type: 'tournamentEliminatedBroadcast', placement: room.tournamentPlacement });
-      broadcastState(room);
-
-      const stillIn = room.seats.filter(s => s && !s.spectator && s.chips > 0);
-      if (stillIn.length === 1) {
-        const champion = stillIn[0];
-        writeLog(room, '');
-        writeLog(room, '═'.repeat(70));
-        writeLog(room, `TOURNAMENT WINNER: ${champion.name} (Seat ${champion.seat+1}) | IP: ${champion.ip || 'unknown'}`);
-        writeLog(room, '═'.repeat(70));
-        logEvent(room, `\uD83C\uDFC6 TOURNAMENT OVER - Winner: ${champion.name}`);
-        room.tournamentPlacement.push({ id: champion.id, name: champion.name, place: 1 });
-        broadcastAll(room, { type: 'tournamentOver', winner: champion.name, winnerSeat: champion.seat, placement: room.tournamentPlacement });
-        stopBlindTimer(room);
-        room.gameActive = false;
-        return;
-      }
+    if (busted.length && rebuyPhase(room) === 'rebuy' && !room.endRequested) {
+      setTimeout(() => offerRebuys(room, busted, () => {
+        const out = busted.filter(s => s.chips <= 0 && !s.spectator);
+        if (out.length && eliminatePlayers(room, out)) return;
+        if (!balanceTables(room)) startNewHand(room);
+      }), 4000);
+      return;
     }
+    if (busted.length > 0 && eliminatePlayers(room, busted)) return;
+    if (balanceTables(room)) return;
     setTimeout(() => startNewHand(room), 4000);
   } else {
     setTimeout(() => {
-      if (busted.length === 0) { startNewHand(room); return; }
+      // No buy-back on the last hand - startNewHand settles everyone up instead
+      if (busted.length === 0 || room.endRequested) { startNewHand(room); return; }
       let pendingCount = busted.length;
       function onBuyBackResolved() { pendingCount--; if (pendingCount <= 0) startNewHand(room); }
       busted.forEach(s => {
@@ -1665,7 +3993,7 @@ function finish(room, winners, label) {
         s.pendingBuyBack = true; s.sittingOut = true;
         writeLog(room, `BUY-BACK OFFER SENT: ${s.name} (Seat ${s.seat+1}) | IP: ${s.ip || 'unknown'} | Offer: ${fmtPounds(room.buyIn)}`);
         logEvent(room, `\ud83d\udcb8 ${s.name} is out of chips - buy-back offer sent`);
-        send(s.ws, { type: 'buyBackOffer', chips: room.buyIn });
+        send(s.ws, { type: 'buyBackOffer', chips: room.buyIn, buyInRange: buyInLimits(room) });
         if (s._buyBackTimer) clearTimeout(s._buyBackTimer);
         s._buyBackTimer = setTimeout(() => {
           if (!s.pendingBuyBack) return;
@@ -1682,8 +4010,83 @@ function finish(room, winners, label) {
 }
 
 function rv(r) { return RVAL[r] || parseInt(r) || 0; }
-function evalBest(cards) { const cs = combs(cards, Math.min(cards.length, 5)); let best = -1; for (const c of cs) { const s = score5(c); if (s > best) best = s; } return best; }
-function bestFiveCards(cards) { const cs = combs(cards, Math.min(cards.length, 5)); let best = -1, bestCombo = cards.slice(0, 5); for (const c of cs) { const s = score5(c); if (s > best) { best = s; bestCombo = c; } } return bestCombo; }
+
+// ─── Hand evaluator ───────────────────────────────────────────────────────────
+// 5-7 cards are scored straight from two tables built at startup, with the same
+// numbers score5 gives the best 5-card combination (tools/evalbench.js checks
+// every 5-card hand and every 7-card rank pattern against it):
+//   RANK_TABLE   rank counts (base-5 key) -> best non-flush score
+//   FLUSH_TABLE  13-bit rank mask of one suit -> flush / straight flush score
+// Fewer than 5 cards (early-street bot estimates) still go through score5.
+const SUIT_IDX = Object.fromEntries(SUITS.map((s, i) => [s, i]));
+const POW5 = Array.from({ length: 13 }, (_, i) => 5 ** i);
+const pack5 = rArr => rArr.reduce((acc, r, i) => acc + r * Math.pow(15, 4 - i), 0);
+// Highest straight in a rank mask (bit 0 = deuce), 0 if none; the wheel is 5-high
+function straightHigh(mask) {
+  for (let hi = 12; hi >= 4; hi--) if (((mask >> (hi - 4)) & 31) === 31) return hi + 2;
+  return (mask & 0x100f) === 0x100f ? 5 : 0;
+}
+function topRanks(mask, n, skip = []) {
+  const out = [];
+  for (let r = 12; r >= 0 && out.length < n; r--) if ((mask >> r) & 1 && !skip.includes(r + 2)) out.push(r + 2);
+  return out;
+}
+const FLUSH_TABLE = new Int32Array(8192);
+for (let mask = 0; mask < 8192; mask++) {
+  let bits = 0; for (let m = mask; m; m &= m - 1) bits++;
+  if (bits < 5) continue;
+  const sh = straightHigh(mask);
+  FLUSH_TABLE[mask] = sh === 14 ? 9e8 + pack5([14, 13, 12, 11, 10]) : sh ? 8e8 + sh * 1e6 : 5e8 + pack5(topRanks(mask, 5));
+}
+function rankScore(counts) {
+  let mask = 0; const byCount = [[], [], [], [], []];
+  for (let r = 12; r >= 0; r--) if (counts[r]) { mask |= 1 << r; byCount[counts[r]].push(r + 2); }
+  const pairsUp = [...byCount[3], ...byCount[2]].sort((a, b) => b - a);
+  if (byCount[4].length) { const q = byCount[4][0]; return 7e8 + pack5([q, q, q, q, ...topRanks(mask, 1, [q])]); }
+  if (byCount[3].length && pairsUp.length > 1) {
+    const t = byCount[3][0], p = pairsUp.find(r => r !== t);
+    return 6e8 + pack5([t, t, t, p, p]);
+  }
+  const sh = straightHigh(mask);
+  if (sh) return 4e8 + sh * 1e6;
+  if (byCount[3].length) { const t = byCount[3][0]; return 3e8 + pack5([t, t, t, ...topRanks(mask, 2, [t])]); }
+  if (byCount[2].length > 1) { const [a, b] = byCount[2]; return 2e8 + pack5([a, a, b, b, ...topRanks(mask, 1, [a, b])]); }
+  if (byCount[2].length) { const p = byCount[2][0]; return 1e8 + pack5([p, p, ...topRanks(mask, 3, [p])]); }
+  return pack5(topRanks(mask, 5));
+}
+const RANK_TABLE = new Map();
+(function fillRankTable(counts, r, left, key) {
+  if (r === 13) { if (left <= 2) RANK_TABLE.set(key, rankScore(counts)); return; }
+  for (let n = 0; n <= Math.min(4, left); n++) { counts[r] = n; fillRankTable(counts, r + 1, left - n, key + n * POW5[r]); }
+  counts[r] = 0;
+})(new Array(13).fill(0), 0, 7, 0);
+
+const suitMasks = new Int32Array(4);
+function evalBest(cards) {
+  if (cards.length < 5 || cards.length > 7) return evalBestSlow(cards);
+  let key = 0;
+  suitMasks.fill(0);
+  for (let i = 0; i < cards.length; i++) {
+    const r = RVAL[cards[i].r] - 2;
+    key += POW5[r]; suitMasks[SUIT_IDX[cards[i].s]] |= 1 << r;
+  }
+  let best = RANK_TABLE.get(key);
+  for (let su = 0; su < 4; su++) { const f = FLUSH_TABLE[suitMasks[su]]; if (f > best) best = f; }
+  return best;
+}
+// Reference scorer: every combination through score5 (the benchmark's yardstick)
+function evalBestSlow(cards) { const cs = combs(cards, Math.min(cards.length, 5)); let best = -1; for (const c of cs) { const s = score5(c); if (s > best) best = s; } return best; }
+// The cards behind the best score - first combination that reaches it
+function bestFiveCards(cards) {
+  if (cards.length <= 5) return cards.slice(0, 5);
+  const best = evalBest(cards);
+  return combs(cards, 5).find(c => evalBest(c) === best) || cards.slice(0, 5);
+}
+// Omaha: exactly two hole cards plus exactly three from the board
+function evalOmaha(hole, board) { let best = -1; for (const h of combs(hole, 2)) for (const b of combs(board, 3)) { const s = evalBest([...h, ...b]); if (s > best) best = s; } return best; }
+function bestOmahaFive(hole, board) { let best = -1, bestCombo = [...hole.slice(0, 2), ...board.slice(0, 3)]; for (const h of combs(hole, 2)) for (const b of combs(board, 3)) { const c = [...h, ...b], s = evalBest(c); if (s > best) { best = s; bestCombo = c; } } return bestCombo; }
+function evalHole(hole, board) { return hole.length === 4 ? evalOmaha(hole, board) : evalBest([...hole, ...board]); }
+function bestHoleFive(hole, board) { return hole.length === 4 ? bestOmahaFive(hole, board) : bestFiveCards([...hole, ...board]); }
 function combs(arr, k) {
   if (arr.length <= k) return [arr]; if (k === 1) return arr.map(x => [x]);
   const out = []; for (let i = 0; i <= arr.length - k; i++) for (const c of combs(arr.slice(i + 1), k - 1)) out.push([arr[i], ...c]); return out;
@@ -1695,7 +4098,7 @@ function score5(cards) {
   const tbRanks = groups.flatMap(g => Array(g.n).fill(g.r)), flush = suits.every(s => s === suits[0]);
   const uniq = [...new Set(ranks)].sort((a, b) => b - a); let isStraight = false, sHigh = 0;
   if (uniq.length === 5) { if (uniq[0] - uniq[4] === 4) { isStraight = true; sHigh = uniq[0]; } else if (uniq[0] === 14 && uniq[1] === 5 && uniq[2] === 4 && uniq[3] === 3 && uniq[4] === 2) { isStraight = true; sHigh = 5; } }
-  const pack = rArr => rArr.reduce((acc, r, i) => acc + r * Math.pow(15, 4 - i), 0);
+  const pack = pack5;
   const freq = groups[0].n, freq2 = groups[1]?.n || 0;
   if (flush && isStraight && sHigh === 14) return 9e8 + pack(ranks);
   if (flush && isStraight) return 8e8 + sHigh * 1e6;
@@ -1710,20 +4113,35 @@ function handName(s) {
   if (s >= 3e8) return 'Three of a Kind'; if (s >= 2e8) return 'Two Pair'; if (s >= 1e8) return 'One Pair'; return 'High Card';
 }
 
-server.listen(PORT, () => {
-  const startMsg = `SYFM Poker server started | port=${PORT} | pid=${process.pid}`;
-  console.log(`\n\u2663 ${startMsg}`); svrLog(startMsg);
-  svrLog(`HTTP: http://localhost:${PORT}`);
-  svrLog(`Logs: http://localhost:${PORT}/logs`);
-});
+// ─── Start up (only when run directly - tools/simulate.js requires the engine) ─
+if (require.main === module) {
+  loadBotStrategies();
+  restoreRooms();
+  server.listen(PORT, () => {
+    const startMsg = `SYFM Poker server started | port=${PORT} | pid=${process.pid}`;
+    console.log(`\n\u2663 ${startMsg}`); svrLog(startMsg);
+    svrLog(`HTTP: http://localhost:${PORT}`);
+    svrLog(`Logs: http://localhost:${PORT}/logs`);
+    if (DECK_SEED) svrLog(`DECK_SEED is set - decks are predictable, for testing only`);
+  });
+  process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+  process.on('SIGINT',  () => gracefulShutdown('SIGINT'));
+}
 
 function gracefulShutdown(signal) {
   svrLog(`SHUTDOWN: ${signal}`);
   const shutdownMsg = JSON.stringify({ type: 'serverShutdown', reason: 'Server is restarting. Please refresh to reconnect.' });
   wss.clients.forEach(client => { try { if (client.readyState === 1) client.send(shutdownMsg); } catch {} });
+  rooms.forEach(room => { if (room.G && room.G.pot > 0) writeLog(room, 'HAND VOIDED - server restarting, bets refunded'); });
+  saveRooms();
   rooms.forEach(room => destroyRoom(room));
   wss.close(() => { server.close(() => { svrLog('SHUTDOWN: clean exit'); process.exit(0); }); });
   setTimeout(() => process.exit(1), 5000).unref();
 }
-process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
-process.on('SIGINT',  () => gracefulShutdown('SIGINT'));
+
+module.exports = {
+  rooms, getOrCreateRoom, mkPlayer, mkBot, startNewHand, handleAction, clearActionTimer, finish,
+  answerBuyBack, voteRunItTwice, buildDeck, shuffle, seededRandomInt, evalHole, handName, fmtCard,
+  evalBest, evalBestSlow, evalOmaha, score5, combs, bestFiveCards, monteCarloEquity,
+  loadBotStrategies, registerBotStrategy, botStrategyList, botView, hudFor,
+};
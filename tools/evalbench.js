@@ -0,0 +1,119 @@
+// tools/evalbench.js — SYFM Poker | hand evaluator check + benchmark
+//
+// Checks the lookup-table evaluator (evalBest) against the reference scorer
+// (evalBestSlow: every 5-card combination through score5), then times both.
+//
+//   every 5-card hand            2,598,960 hands
+//   every 7-card rank pattern    49,205 patterns, dealt off-suit and as flushes
+//   random 6- and 7-card hands   --random (default 200000)
+//   random Omaha hands           --random / 10, against score5 over all 60 hole/board splits
+//
+//   node tools/evalbench.js [--random 200000] [--bench 100000] [--skip-exhaustive]
+//
+// Exit code is 1 on any mismatch.
+'use strict';
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+
+const args = process.argv.slice(2);
+const opt = (name, def) => { const i = args.indexOf(`--${name}`); return i === -1 ? def : Math.max(0, parseInt(args[i + 1], 10) || 0); };
+const RANDOM = opt('random', 200000), BENCH = opt('bench', 100000), EXHAUSTIVE = !args.includes('--skip-exhaustive');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'syfm-eval-'));
+process.env.LOGS_DIR = path.join(tmpDir, 'logs');
+process.env.DATA_DIR = path.join(tmpDir, 'data');
+const realLog = console.log;
+console.log = () => {};
+const engine = require('../server.js');
+console.log = realLog;
+fs.rmSync(tmpDir, { recursive: true, force: true });
+
+const SUITS = ['\u2660', '\u2665', '\u2666', '\u2663'];
+const RANKS = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
+const DECK = SUITS.flatMap(s => RANKS.map(r => ({ r, s })));
+
+let checked = 0, mismatches = 0;
+function check(cards) {
+  checked++;
+  const fast = engine.evalBest(cards), slow = engine.evalBestSlow(cards);
+  if (fast !== slow && ++mismatches <= 20) console.log(`MISMATCH ${cards.map(engine.fmtCard).join(' ')}: table ${fast} / reference ${slow}`);
+}
+function section(label, fn) {
+  const t0 = process.hrtime.bigint(), before = checked;
+  fn();
+  console.log(`${label.padEnd(36)} ${String(checked - before).padStart(9)} hands  ${(Number(process.hrtime.bigint() - t0) / 1e9).toFixed(1)}s`);
+}
+
+// ─── Correctness ──────────────────────────────────────────────────────────────
+if (EXHAUSTIVE) {
+  section('every 5-card hand', () => {
+    const h = new Array(5);
+    for (let a = 0; a < 52; a++) { h[0] = DECK[a];
+      for (let b = a + 1; b < 52; b++) { h[1] = DECK[b];
+        for (let c = b + 1; c < 52; c++) { h[2] = DECK[c];
+          for (let d = c + 1; d < 52; d++) { h[3] = DECK[d];
+            for (let e = d + 1; e < 52; e++) { h[4] = DECK[e]; check(h); } } } } }
+  });
+
+  // Each rank pattern (counts 0-4 per rank, 7 cards) dealt with suits cycling so
+  // no flush forms, then again with as many as possible of one suit
+  section('every 7-card rank pattern', () => {
+    const counts = new Array(13).fill(0);
+    (function walk(r, left) {
+      if (r === 13) {
+        if (left) return;
+        const ranks = counts.flatMap((n, i) => Array(n).fill(i));
+        check(ranks.map((ri, k) => ({ r: RANKS[ri], s: SUITS[k % 4] })));
+        const nth = new Array(13).fill(0);
+        check(ranks.map(ri => ({ r: RANKS[ri], s: SUITS[nth[ri]++] })));
+        return;
+      }
+      for (let n = 0; n <= Math.min(4, left); n++) { counts[r] = n; walk(r + 1, left - n); }
+      counts[r] = 0;
+    })(0, 7);
+  });
+}
+
+// Small seeded PRNG so a failing run can be repeated
+let seed = 20261019;
+const rand = n => { seed = (Math.imul(seed, 1103515245) + 12345) >>> 0; return seed % n; };
+function deal(n) {
+  const d = DECK.slice();
+  for (let i = 0; i < n; i++) { const j = i + rand(52 - i); [d[i], d[j]] = [d[j], d[i]]; }
+  return d.slice(0, n);
+}
+section('random 6- and 7-card hands', () => { for (let i = 0; i < RANDOM; i++) check(deal(6 + (i & 1))); });
+section('random Omaha hands', () => {
+  for (let i = 0; i < RANDOM / 10; i++) {
+    const c = deal(9), hole = c.slice(0, 4), board = c.slice(4);
+    let slow = -1;
+    for (const h of engine.combs(hole, 2)) for (const b of engine.combs(board, 3)) slow = Math.max(slow, engine.score5([...h, ...b]));
+    checked++;
+    const fast = engine.evalOmaha(hole, board);
+    if (fast !== slow && ++mismatches <= 20) console.log(`MISMATCH omaha ${c.map(engine.fmtCard).join(' ')}: table ${fast} / reference ${slow}`);
+  }
+});
+
+// ─── Benchmark ────────────────────────────────────────────────────────────────
+function bench(label, fn, hands) {
+  const t0 = process.hrtime.bigint();
+  let sink = 0;
+  for (const h of hands) sink += fn(h) & 1;
+  const secs = Number(process.hrtime.bigint() - t0) / 1e9;
+  return { label, perSec: Math.round(hands.length / secs), sink };
+}
+const sevens = Array.from({ length: BENCH }, () => deal(7));
+const results = [bench('reference (score5 x 21)', engine.evalBestSlow, sevens), bench('lookup table', engine.evalBest, sevens)];
+console.log('');
+results.forEach(r => console.log(`7-card ${r.label.padEnd(28)} ${r.perSec.toLocaleString().padStart(12)} hands/s`));
+console.log(`speed-up x${(results[1].perSec / results[0].perSec).toFixed(1)}`);
+
+const t0 = process.hrtime.bigint();
+const equityRuns = 200;
+for (let i = 0; i < equityRuns; i++) { const c = deal(5); engine.monteCarloEquity(c.slice(0, 2), c.slice(2), 3, 200); }
+console.log(`monteCarloEquity (3 opps, 200 iters)  ${((Number(process.hrtime.bigint() - t0) / 1e6) / equityRuns).toFixed(2)} ms/call`);
+
+console.log('');
+console.log(mismatches ? `FAIL: ${mismatches} of ${checked} hands differ` : `OK: ${checked} hands match the reference scorer`);
+process.exit(mismatches ? 1 : 0);
@@ -0,0 +1,66 @@
+// tools/external-bot.js — SYFM Poker | minimal external bot client
+//
+// Plays one seat over the WebSocket protocol. The host presses "Bot token" in the
+// lobby and passes the room and token here:
+//
+//   node tools/external-bot.js --room 1234 --token <token> [--name Bot] [--url ws://localhost:10000] [--buy-in 2000]
+//
+// Messages in: 'joined' (id + secret, kept for reconnects), 'state', 'yourTurn' and,
+// on this seat's turn, 'legalActions':
+//   { hand, seat, phase, actions: ['fold', 'check'|'call', 'raise'?], toCall,
+//     minRaise, maxRaise, pot, currentBet, bet, stack, betting, holeCards, community,
+//     timeoutMs, timeBankMs }
+// Message out: { type: 'action', action: 'fold'|'check'|'call'|'raise', amount }
+// where a raise amount is the chips put in now, between minRaise and maxRaise.
+// No answer within the action timer folds (or checks) the seat as for anyone else.
+//
+// This one checks when it can, calls anything up to a third of its stack and
+// min-raises one hand in five. Replace decide() with your own logic.
+'use strict';
+const WebSocket = require('ws');
+
+const args = process.argv.slice(2);
+const opt = (name, def) => { const i = args.indexOf(`--${name}`); return i === -1 ? def : args[i + 1]; };
+const URL = opt('url', `ws://localhost:${process.env.PORT || 10000}`);
+const ROOM = opt('room', null), TOKEN = opt('token', null), NAME = opt('name', 'Bot');
+const BUY_IN = parseInt(opt('buy-in', '0'), 10) || undefined;
+if (!ROOM || !TOKEN) { console.error('usage: node tools/external-bot.js --room <room> --token <token> [--name Bot] [--url ws://...]'); process.exit(2); }
+
+function decide(legal) {
+  if (legal.actions.includes('raise') && Math.random() < 0.2) return { action: 'raise', amount: legal.minRaise };
+  if (legal.toCall === 0) return { action: 'check' };
+  return legal.toCall <= legal.stack / 3 ? { action: 'call' } : { action: 'fold' };
+}
+
+let session = null;
+function connect() {
+  const ws = new WebSocket(URL);
+  const send = o => ws.send(JSON.stringify(o));
+  ws.on('open', () => send(session ? { type: 'join', room: ROOM, name: NAME, ...session } : { type: 'join', room: ROOM, name: NAME, botToken: TOKEN, buyIn: BUY_IN }));
+  ws.on('message', raw => {
+    const msg = JSON.parse(raw);
+    switch (msg.type) {
+      case 'joined':
+        if (msg.secret) session = { id: msg.id, secret: msg.secret };
+        console.log(`seated at seat ${msg.seat + 1} in room ${ROOM}`);
+        break;
+      case 'legalActions': {
+        const a = decide(msg);
+        console.log(`hand ${msg.hand} ${msg.phase}: ${a.action}${a.amount ? ' ' + a.amount : ''}`);
+        send({ type: 'action', ...a });
+        break;
+      }
+      case 'rejected':
+        console.error(`rejected: ${msg.reason}`);
+        process.exit(1);
+        break;
+      case 'error':
+        console.error(`server: ${msg.msg}`);
+        break;
+    }
+  });
+  // The seat survives a short disconnect; rejoin with the id + secret from 'joined'
+  ws.on('close', () => { if (!session) process.exit(1); setTimeout(connect, 2000); });
+  ws.on('error', e => console.error(`connection: ${e.message}`));
+}
+connect();
@@ -0,0 +1,306 @@
+// tools/simulate.js — SYFM Poker | headless simulation harness
+//
+// Runs the real room engine (startNewHand -> handleAction -> finish) in-process on a
+// virtual clock, with seeded decks and a seeded Math.random, so a run replays exactly.
+// After every engine step it checks invariants and prints a JSON report at the end:
+//
+//   chips      chips at the table + pot always equal everything bought in
+//   sidePots   each finished hand's payouts match an independent side-pot calculation
+//   turnOrder  every action comes from the next live seat clockwise
+//   cards      no card is dealt twice
+//   hud        every player's stats counters stay inside their denominators
+//
+//   node tools/simulate.js --hands 2000 --seed 42 --players 6 --mode mixed --out report.json
+//
+// Modes: bots (one scripted seat keeps the table live - the server pauses bot-only
+// tables), scripted (every seat plays random legal actions), mixed (half and half).
+// --strategies beginner,expert deals the bots those strategies in turn (the report
+// totals each one's result); --botsdir loads extra strategy modules first.
+// --profile sets how scripted players act: random (any legal action), folder (calls
+// preflop, gives up to any bet after) or bluffer (bets whenever checked to).
+// Exit code is 1 if any invariant failed.
+'use strict';
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+
+// ─── Options ──────────────────────────────────────────────────────────────────
+function parseArgs(argv) {
+  const opts = { hands: 1000, seed: 'sim', players: 6, mode: 'mixed', variant: 'holdem', betting: null, strategies: null, botsdir: null, profile: 'random', out: null };
+  for (let i = 0; i < argv.length; i++) {
+    const m = /^--([a-z]+)$/.exec(argv[i]);
+    if (!m || !(m[1] in opts)) { console.error(`Unknown option: ${argv[i]}`); process.exit(2); }
+    opts[m[1]] = argv[++i];
+  }
+  opts.hands = Math.max(1, parseInt(opts.hands, 10) || 1000);
+  opts.players = Math.max(2, Math.min(9, parseInt(opts.players, 10) || 6));
+  if (!['bots', 'scripted', 'mixed'].includes(opts.mode)) { console.error(`Bad --mode: ${opts.mode}`); process.exit(2); }
+  if (!['random', 'folder', 'bluffer'].includes(opts.profile)) { console.error(`Bad --profile: ${opts.profile}`); process.exit(2); }
+  return opts;
+}
+const opts = parseArgs(process.argv.slice(2));
+
+// ─── Sandbox: temp dirs, no hand logs, quiet console ──────────────────────────
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'syfm-sim-'));
+process.env.LOGS_DIR = path.join(tmpDir, 'logs');
+process.env.DATA_DIR = path.join(tmpDir, 'data');
+process.env.HAND_LOGS = 'off';
+delete process.env.DECK_SEED;
+const realLog = console.log;
+console.log = () => {};
+
+// ─── Virtual clock ────────────────────────────────────────────────────────────
+// Timers go into a queue ordered by due time; the run loop pops them one at a
+// time, so 4s between hands and 15s action clocks cost nothing.
+const clock = { now: Date.now(), seq: 0, queue: [] };
+function schedule(fn, ms, args, every) {
+  const t = { id: ++clock.seq, at: clock.now + Math.max(0, Number(ms) || 0), fn, args, every, live: true,
+              ref() { return t; }, unref() { return t; }, hasRef() { return false; } };
+  let i = clock.queue.length;
+  while (i > 0 && (clock.queue[i - 1].at > t.at)) i--;
+  clock.queue.splice(i, 0, t);
+  return t;
+}
+function cancel(t) { if (t && t.live) { t.live = false; const i = clock.queue.indexOf(t); if (i !== -1) clock.queue.splice(i, 1); } }
+global.setTimeout = (fn, ms, ...args) => schedule(fn, ms, args, 0);
+global.setInterval = (fn, ms, ...args) => schedule(fn, ms, args, Math.max(1, Number(ms) || 1));
+global.clearTimeout = global.clearInterval = cancel;
+Date.now = () => clock.now;
+
+function step() {
+  const t = clock.queue.shift();
+  if (!t) return false;
+  clock.now = Math.max(clock.now, t.at);
+  if (t.every) { t.at = clock.now + t.every; clock.queue.push(t); clock.queue.sort((a, b) => a.at - b.at); }
+  else t.live = false;
+  t.fn(...t.args);
+  return true;
+}
+
+// mulberry32 - small seeded PRNG for the bots and the scripted players
+function seededRandom(seed) {
+  let a = [...String(seed)].reduce((h, c) => Math.imul(h ^ c.charCodeAt(0), 2654435761) >>> 0, 1779033703);
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+Math.random = seededRandom(opts.seed);
+
+const engine = require('../server.js');
+if (opts.botsdir) engine.loadBotStrategies(path.resolve(opts.botsdir));
+const strategies = opts.strategies ? opts.strategies.split(',') : [null];
+const known = engine.botStrategyList().map(st => st.name);
+strategies.filter(st => st && !known.includes(st)).forEach(st => { console.error(`Unknown strategy: ${st} (have ${known.join(', ')})`); process.exit(2); });
+
+// ─── Table ────────────────────────────────────────────────────────────────────
+const room = engine.getOrCreateRoom('SIM');
+room.seed = String(opts.seed);
+room.variant = opts.variant;
+if (opts.betting) room.betting = opts.betting;
+const botCount = opts.mode === 'scripted' ? 0 : opts.mode === 'bots' ? opts.players - 1 : Math.floor(opts.players / 2);
+for (let seat = 0; seat < opts.players; seat++) {
+  if (seat >= opts.players - botCount) {
+    const strategy = strategies[(seat - (opts.players - botCount)) % strategies.length] || undefined;
+    room.seats[seat] = engine.mkBot(`bot${seat}`, `Bot${seat + 1}`, seat, room, room.buyIn, strategy);
+  } else {
+    const ws = { readyState: 1, send: str => onMessage(seat, JSON.parse(str)) };
+    room.seats[seat] = engine.mkPlayer(ws, `p${seat}`, `Player${seat + 1}`, seat, room, room.buyIn, 'sim');
+    Object.assign(room.seats[seat], { totalBet: 0, sittingOut: false, spectator: false, pendingBuyBack: false, voluntaryAutoFold: false });
+  }
+}
+room.hostId = room.seats[0].id;
+
+// ─── Scripted players ─────────────────────────────────────────────────────────
+// They answer like a client would, a moment after the message arrives.
+const CLIENT_DELAY_MS = 300;
+const stats = { actions: {}, runItTwice: 0, buyBacks: 0, sidePots: 0, splitPots: 0, showdowns: 0 };
+
+function onMessage(seat, msg) {
+  const p = room.seats[seat];
+  if (msg.type === 'yourTurn' && msg.seat === seat) setTimeout(() => scriptedAction(seat, msg), CLIENT_DELAY_MS);
+  else if (msg.type === 'runItTwiceOffer') setTimeout(() => engine.voteRunItTwice(room, p, Math.random() < 0.5), CLIENT_DELAY_MS);
+  else if (msg.type === 'buyBackOffer') setTimeout(() => { if (p.pendingBuyBack) { engine.answerBuyBack(room, p, true, msg.chips); stats.buyBacks++; } }, CLIENT_DELAY_MS);
+}
+
+function scriptedAction(seat, turn) {
+  if (!room.G || room.G.toAct[0] !== seat) return;
+  const r = Math.random(), postflop = room.G.phase !== 'preflop';
+  let action, amount;
+  if (opts.profile === 'folder' && postflop) action = turn.callAmt > 0 && r < 0.9 ? 'fold' : turn.callAmt > 0 ? 'call' : 'check';
+  else if (opts.profile === 'bluffer' && postflop && turn.canRaise && (turn.callAmt === 0 ? r < 0.8 : r < 0.3)) {
+    action = 'raise'; amount = Math.min(turn.maxRaise, Math.max(turn.minRaise, Math.round(turn.pot * 0.75)));
+  } else if (opts.profile !== 'random') action = turn.callAmt > 0 ? 'call' : 'check';
+  else if (turn.callAmt > 0 && r < 0.25) action = 'fold';
+  else if (turn.canRaise && r > 0.8) {
+    action = 'raise';
+    amount = r > 0.97 ? turn.maxRaise : turn.minRaise + Math.floor(Math.random() * (turn.maxRaise - turn.minRaise + 1) / 3);
+  } else action = turn.callAmt > 0 ? 'call' : 'check';
+  engine.clearActionTimer(room);
+  engine.handleAction(room, seat, action, amount);
+}
+
+// ─── Invariants ───────────────────────────────────────────────────────────────
+const MAX_FAILURES = 50;
+const checks = { chips: 0, sidePots: 0, turnOrder: 0, cards: 0, hud: 0 };
+const failures = [];
+function fail(kind, detail) {
+  if (failures.length < MAX_FAILURES) failures.push({ kind, hand: room.handNum, ...detail });
+  else failures.truncated = true;
+}
+
+function checkChips() {
+  checks.chips++;
+  const seats = room.seats.filter(Boolean);
+  const inPlay = seats.reduce((sum, s) => sum + s.chips, 0) + (room.G ? room.G.pot : 0);
+  const boughtIn = seats.reduce((sum, s) => sum + (s.buyInTotal || 0), 0);
+  if (inPlay !== boughtIn) fail('chips', { inPlay, boughtIn });
+}
+
+function checkCards() {
+  const G = room.G;
+  if (!G || G._simCards === G.community.length) return;
+  G._simCards = G.community.length;
+  checks.cards++;
+  const key = c => `${c.r}${c.s}`;
+  const seen = new Set(), dealt = [...room.seats.flatMap(s => (s && s.cards) || []), ...G.community, ...(G.deck || [])];
+  dealt.forEach(c => { const k = key(c); if (seen.has(k)) fail('cards', { duplicate: k }); seen.add(k); });
+}
+
+// Replays the hand's actions: each one must come from the next seat clockwise that is
+// still live (not folded, not all in), counting from the big blind (or straddle)
+// preflop and from the button after that
+function checkTurnOrder(h) {
+  checks.turnOrder++;
+  const seats = h.players.map(pl => pl.seat).sort((a, b) => a - b);
+  const out = new Set();
+  let phase = null, last = -1;
+  const nextLive = from => {
+    for (let k = 1; k <= NPS; k++) { const s = (from + k) % NPS; if (seats.includes(s) && !out.has(s)) return s; }
+    return -1;
+  };
+  for (const a of h.actions) {
+    if (a.action.startsWith('post_')) { if (a.stack === 0) out.add(a.seat); continue; }
+    if (a.note) { if (a.action === 'fold') out.add(a.seat); continue; }   // auto-folds happen out of turn
+    if (a.phase !== phase) {
+      phase = a.phase;
+      last = phase === 'preflop' ? (h.straddleSeat != null ? h.straddleSeat : h.bbSeat) : h.dealerSeat;
+    }
+    const want = nextLive(last);
+    if (a.seat !== want) {
+      fail('turnOrder', { phase, expected: want, got: a.seat, dealer: h.dealerSeat, bb: h.bbSeat,
+                          actions: h.actions.map(x => `${x.phase} ${x.seat} ${x.action}${x.amount ? ' ' + x.amount : ''}`) });
+      return;
+    }
+    last = a.seat;
+    if (a.action === 'fold' || a.stack === 0) out.add(a.seat);
+  }
+}
+const NPS = room.seats.length;
+
+// Side pots worked out from scratch: slice the contributions at every all-in level,
+// award each slice to the best eligible hand (per board when run twice), split
+// ties with the odd chip to the lowest seat, and compare with what each seat got
+function checkSidePots(h) {
+  checks.sidePots++;
+  const G = room.G;
+  const players = h.players.map(pl => ({ ...pl, s: room.seats[pl.seat] })).filter(pl => pl.s && pl.s.id === pl.id);
+  const live = players.filter(pl => !pl.s.folded);
+  const expected = {}; players.forEach(pl => { expected[pl.seat] = 0; });
+  const boards = G.runTwice && G.runTwice.board ? [G.community, G.runTwice.board] : [G.community];
+  const caps = [...new Set(players.map(pl => pl.s.totalBet || 0).filter(c => c > 0))].sort((a, b) => a - b);
+  let prev = 0;
+  if (caps.length > 1) stats.sidePots++;
+  if (live.length > 1) stats.showdowns++;
+  if (boards.length > 1) stats.runItTwice++;
+  caps.forEach(cap => {
+    const amount = players.reduce((sum, pl) => sum + Math.min(pl.s.totalBet || 0, cap) - Math.min(pl.s.totalBet || 0, prev), 0);
+    prev = cap;
+    let eligible = live.filter(pl => (pl.s.totalBet || 0) >= cap);
+    if (!eligible.length) eligible = [live.reduce((a, b) => ((b.s.totalBet || 0) > (a.s.totalBet || 0) ? b : a))];
+    const halves = boards.length > 1 ? [amount - Math.floor(amount / 2), Math.floor(amount / 2)] : [amount];
+    halves.forEach((part, bi) => {
+      let winners = eligible;
+      if (eligible.length > 1) {
+        const scored = eligible.map(pl => ({ pl, sc: engine.evalHole(pl.s.cards, boards[bi]) }));
+        const top = Math.max(...scored.map(x => x.sc));
+        winners = scored.filter(x => x.sc === top).map(x => x.pl);
+      }
+      if (winners.length > 1) stats.splitPots++;
+      const each = Math.floor(part / winners.length), odd = part - each * winners.length;
+      [...winners].sort((a, b) => a.seat - b.seat).forEach((w, i) => { expected[w.seat] += each + (i === 0 ? odd : 0); });
+    });
+  });
+  players.forEach(pl => {
+    const got = pl.s.chips - pl.stack + (pl.s.totalBet || 0);
+    if (got !== expected[pl.seat]) fail('sidePots', { seat: pl.seat, expected: expected[pl.seat], got, board: boards.map(b => b.map(engine.fmtCard).join(' ')) });
+  });
+}
+
+// Each HUD numerator against what it's a share of (3-bets of 3-bet spots, WTSD of flops seen...)
+const HUD_BOUNDS = [['vpip', 'hands'], ['pfr', 'vpip'], ['threeBets', 'threeBetSpots'], ['threeBetSpots', 'hands'], ['sawFlop', 'hands'],
+                    ['showdowns', 'sawFlop'], ['showdownWins', 'showdowns'], ['foldToCbet', 'cbetFaced'], ['bluffs', 'aggShowdowns']];
+function checkHud() {
+  checks.hud++;
+  Object.entries(room.opponentStats || {}).forEach(([id, e]) => HUD_BOUNDS.forEach(([n, d]) => {
+    if (e[n] > e[d]) fail('hud', { player: e.name || id, counter: n, value: e[n], of: d, bound: e[d] });
+  }));
+}
+
+function afterStep() {
+  checkChips();
+  checkCards();
+  const G = room.G;
+  if (G && G.history && G.history.pots.length && !G._simChecked) {
+    G._simChecked = true;
+    handsPlayed++;
+    checkTurnOrder(G.history);
+    checkSidePots(G.history);
+    checkHud();
+    G.history.actions.forEach(a => { stats.actions[a.action] = (stats.actions[a.action] || 0) + 1; });
+  }
+}
+
+// ─── Run ──────────────────────────────────────────────────────────────────────
+const MAX_STEPS_PER_HAND = 5000;
+let handsPlayed = 0, steps = 0, stalled = false;
+const started = process.hrtime.bigint();
+room.gameActive = true;
+room.gameStartedAt = new Date().toISOString();
+engine.startNewHand(room);
+afterStep();
+while (handsPlayed < opts.hands) {
+  if (!step()) { stalled = true; fail('stall', { reason: 'no timers left', gameActive: room.gameActive }); break; }
+  steps++;
+  afterStep();
+  if (steps > (handsPlayed + 1) * MAX_STEPS_PER_HAND) { stalled = true; fail('stall', { reason: 'hand never finished' }); break; }
+}
+const elapsedMs = Number(process.hrtime.bigint() - started) / 1e6;
+
+// ─── Report ───────────────────────────────────────────────────────────────────
+const report = {
+  config: { ...opts, bots: botCount, scripted: opts.players - botCount },
+  handsPlayed, steps, stalled,
+  elapsedMs: Math.round(elapsedMs), handsPerSec: Math.round(handsPlayed / (elapsedMs / 1000)),
+  stats,
+  stacks: room.seats.filter(Boolean).map(s => ({ seat: s.seat, name: s.name, strategy: s.isBot ? s.strategy : 'scripted', chips: s.chips, buyIns: s.buyInCount, net: s.chips - s.buyInTotal,
+                                                 reads: room.opponentStats && room.opponentStats[s.id], hud: (engine.hudFor(room, s) || {}).room })),
+  byStrategy: room.seats.filter(Boolean).reduce((acc, s) => {
+    const k = s.isBot ? s.strategy : 'scripted', e = acc[k] || (acc[k] = { seats: 0, net: 0, bbPer100: 0 });
+    e.seats++; e.net += s.chips - s.buyInTotal;
+    e.bbPer100 = Math.round(e.net / e.seats / room.stakes.bb / Math.max(1, handsPlayed) * 100 * 10) / 10;
+    return acc;
+  }, {}),
+  invariants: checks,
+  failures, failuresTruncated: !!failures.truncated,
+  ok: failures.length === 0,
+};
+console.log = realLog;
+const json = JSON.stringify(report, null, 2);
+if (opts.out) fs.writeFileSync(opts.out, json + '\n');
+else process.stdout.write(json + '\n');
+fs.rmSync(tmpDir, { recursive: true, force: true });
+process.exit(report.ok ? 0 : 1);